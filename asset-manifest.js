@@ -0,0 +1,17 @@
+// Generated by scripts/buildAssets.mjs (npm run build); do not edit.
+// App shell the service worker precaches, with content hashes.
+self.ASSET_MANIFEST = {
+  "version": "c9b04cc2a3",
+  "assets": {
+    "/": "66fe85dd10",
+    "/index.html": "66fe85dd10",
+    "/assets/calendar.js": "74fb343590",
+    "/assets/state.js": "a593ae3de3",
+    "/assets/schema.js": "a461375967",
+    "/assets/search.js": "3a62ab9da1",
+    "/assets/render.js": "ee27bf42e7",
+    "/assets/push.js": "d8ea36128c",
+    "/assets/app.js": "06da6008b0",
+    "/manifest.webmanifest": "310b1bea4b"
+  }
+};
@@ -24,6 +24,82 @@
     }
   }
 
+  /**
+   * Fetch another week's draft without showing it
+   * @returns {Object|null} The draft, or null if it's missing or invalid
+   */
+  async function fetchDraft(path) {
+    try {
+      const response = await fetch(path);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const draft = await response.json();
+      if (DraftSchema.validate(draft).length > 0) {
+        throw new Error('not a valid draft');
+      }
+      return draft;
+    } catch (error) {
+      console.warn(`Failed to load ${path}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load the team registry for a scope (abbreviations, colors)
+   */
+  async function loadTeams(scope) {
+    try {
+      const response = await fetch(`/data/teams/${scope}.json`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const registry = await response.json();
+      State.setTeams(registry.teams);
+    } catch (error) {
+      console.warn(`Failed to load ${scope} teams:`, error.message);
+      State.setTeams({});
+    }
+  }
+
+  /**
+   * Load the draft index so the selector and archive only offer real drafts
+   */
+  async function loadIndex() {
+    try {
+      const response = await fetch('/data/index.json');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      State.setIndex(await response.json());
+    } catch (error) {
+      // Without an index every calendar week is offered
+      console.warn('Failed to load draft index:', error.message);
+      State.setIndex(null);
+    }
+  }
+
+  /**
+   * Load the selected draft, falling back to the pre-season-folder path
+   * (/data/{scope}/week_NN.json) when it holds the same season
+   */
+  async function loadDraft() {
+    const path = State.getCurrentDataPath();
+    const data = await loadData(path);
+    if (data) return data;
+
+    const legacyPath = State.getCurrentLegacyDataPath();
+    if (!legacyPath || legacyPath === path) return null;
+
+    const legacy = await loadData(legacyPath);
+    if (legacy && legacy.meta?.season === State.getCurrentSeason()) {
+      return legacy;
+    }
+
+    State.setData(null);
+    return null;
+  }
+
   /**
    * Load fallback example data
    */
@@ -49,15 +125,148 @@
     if (!data) {
       // Show "no draft" for all sections
       Render.renderTopGames([]);
+      Render.renderYourTeams(null, null);
       Render.renderOpinions([]);
       Render.renderWhatsNext([]);
+      Render.renderRace(null);
+      renderOtherWeeks();
+      renderGameDetail();
+      return;
+    }
+
+    // Refuse drafts that don't match the contract rather than half-render them
+    const errors = DraftSchema.validate(data);
+    if (errors.length > 0) {
+      console.warn('Draft failed validation:', errors);
+      State.setData(null);
+      Render.renderInvalid(errors);
+      renderOtherWeeks();
+      renderGameDetail();
       return;
     }
 
     Render.renderTopGames(data.top_games || []);
+    Render.renderYourTeams(data.all_games, data.top_games || []);
     Render.renderOpinions(data.quick_opinions || []);
     Render.renderWhatsNext(data.whats_next || []);
+    Render.renderRace(data.race, data.meta?.scope);
     Render.renderMeta(data.meta || {});
+    renderOtherWeeks();
+    renderGameDetail();
+    scrollToGame();
+  }
+
+  // Game detail files already loaded, by path
+  const details = new Map();
+
+  /**
+   * Show the detail view for the game in the URL (?game=...), or hide it
+   * The draft's own box score shows until the game's detail file loads
+   */
+  async function renderGameDetail() {
+    const gameId = State.getGame();
+    const data = State.getData();
+    if (!gameId || !data) {
+      Render.renderGameDetail(null);
+      return;
+    }
+
+    const game = (data.top_games || []).find(g => String(g.ids?.game_id) === gameId) || null;
+    const path = game?.detail;
+    if (!path || details.has(path)) {
+      Render.renderGameDetail({ game, detail: details.get(path) || null, status: '' });
+      focusGameDetail();
+      return;
+    }
+
+    Render.renderGameDetail({ game, detail: null, status: 'loading' });
+    focusGameDetail();
+
+    let detail = null;
+    try {
+      const response = await fetch(path);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      detail = await response.json();
+      const errors = DraftSchema.validate(detail, DraftSchema.detailSchema);
+      if (errors.length > 0) {
+        console.warn('Game detail failed validation:', errors);
+        detail = null;
+      } else {
+        details.set(path, detail);
+      }
+    } catch (error) {
+      console.warn(`Failed to load ${path}:`, error.message);
+    }
+
+    // The reader may have moved on while it loaded
+    if (State.getGame() !== gameId || State.getData() !== data) return;
+    Render.renderGameDetail({ game, detail, status: detail ? '' : 'failed' });
+  }
+
+  /**
+   * Start the detail view at the top, with focus on its heading
+   */
+  function focusGameDetail() {
+    window.scrollTo(0, 0);
+    document.querySelector('#game-detail .detail-title')?.focus();
+  }
+
+  /**
+   * Scroll to and mark the game named in the URL hash (#game-...)
+   */
+  function scrollToGame() {
+    for (const el of document.querySelectorAll('.game.is-target')) {
+      el.classList.remove('is-target');
+    }
+
+    const id = decodeURIComponent(location.hash.slice(1));
+    if (!id.startsWith('game-')) return;
+
+    const gameEl = document.getElementById(id);
+    if (!gameEl) return;
+
+    gameEl.classList.add('is-target');
+    gameEl.scrollIntoView({ block: 'start' });
+  }
+
+  /**
+   * Mirror state in the URL so reloads and shared links land on the same view
+   * @param {Object} [options] - { replace: update the entry instead of adding one,
+   *   keepHash: keep the #game-... anchor }
+   */
+  function syncURL({ replace = false, keepHash = false } = {}) {
+    const url = `${location.pathname}${State.toQuery()}${keepHash ? location.hash : ''}`;
+    if (url === `${location.pathname}${location.search}${location.hash}`) return;
+
+    history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  }
+
+  /**
+   * Put the header controls back in step with State
+   */
+  function syncControls() {
+    const scopeSelect = document.getElementById('scope-select');
+    const searchInput = document.getElementById('search');
+
+    if (scopeSelect) scopeSelect.value = State.getCurrentScope();
+    if (searchInput) searchInput.value = State.getSearchTerm();
+  }
+
+  /**
+   * Restore state from the URL and reload (back/forward, permalinks)
+   */
+  async function restoreFromURL() {
+    State.fromQuery(location.search);
+    syncControls();
+    updatePushToggle();
+
+    await loadTeams(State.getCurrentScope());
+    populateSeasonSelector();
+    populateWeekSelector();
+    renderArchive();
+    await loadAndRender();
   }
 
   /**
@@ -65,10 +274,16 @@
    */
   async function initialize() {
     const scope = State.getCurrentScope();
-    const week = State.getCurrentWeek();
-    const path = State.dataPath(scope, week);
 
-    let data = await loadData(path);
+    await Promise.all([loadTeams(scope), loadIndex()]);
+    populateSeasonSelector();
+    populateWeekSelector();
+    renderArchive();
+
+    // The URL may have named a week this scope doesn't have
+    syncURL({ replace: true, keepHash: true });
+
+    let data = await loadDraft();
 
     // Fallback to example data if needed
     if (!data) {
@@ -79,26 +294,115 @@
   }
 
   /**
-   * Populate week selector
+   * Calendar weeks played so far in the selected season, newest first, with
+   * their index entry (draft: null when the draft is missing, undefined without an index)
    */
-  function populateWeekSelector() {
-    const select = document.getElementById('week-select');
+  function playedWeeks(scope) {
+    const season = State.getCurrentSeason(scope);
+    const current = State.currentWeekOf(scope, season);
+    const hasIndex = State.getDrafts(scope) !== null;
+
+    return SeasonCalendar.weeks(scope, season)
+      .filter(entry => entry.start <= current.start)
+      .reverse()
+      .map(entry => ({
+        ...entry,
+        value: `${entry.seasonType}:${entry.week}`,
+        draft: hasIndex ? State.findDraft(scope, entry.season, entry.week, entry.seasonType) : undefined
+      }));
+  }
+
+  /**
+   * Populate season selector, newest first
+   * Keeps the selected season if this scope has it, otherwise the current one
+   */
+  function populateSeasonSelector() {
+    const select = document.getElementById('season-select');
     if (!select) return;
 
-    const currentWeek = State.resolveWeekNumber();
-    
-    for (let i = currentWeek; i >= 1; i--) {
+    const scope = State.getCurrentScope();
+    const current = State.resolveWeek(scope).season;
+    const seasons = State.getSeasons(scope);
+    const selected = State.getCurrentSeason(scope);
+
+    select.innerHTML = '';
+    for (const season of seasons) {
       const option = document.createElement('option');
-      option.value = i;
-      option.textContent = `Week ${i}`;
+      option.value = String(season);
+      option.textContent = String(season);
       select.appendChild(option);
     }
 
+    if (seasons.includes(selected)) {
+      select.value = String(selected);
+    } else {
+      select.value = String(current);
+      State.setSeason('current');
+      State.setWeek('current');
+    }
+  }
+
+  /**
+   * Populate week selector from the season calendar, newest first
+   * Weeks the index says have no draft stay listed but disabled
+   */
+  function populateWeekSelector() {
+    const select = document.getElementById('week-select');
+    if (!select) return;
+
+    const selected = State.getWeekValue();
+    const played = playedWeeks(State.getCurrentScope());
+
+    // Keep "This Week", rebuild the rest
+    while (select.children.length > 1) {
+      select.removeChild(select.lastChild);
+    }
+
+    // A past season has no week in progress, only its newest draft
+    const isCurrentSeason = State.getCurrentSeason() === State.resolveWeek().season;
+    select.options[0].textContent = isCurrentSeason ? 'This Week' : 'Latest';
+
+    // Postseason rounds first (newest), then regular-season weeks
+    const groups = [
+      { label: 'Postseason', weeks: played.filter(entry => entry.seasonType === 'postseason') },
+      { label: 'Regular season', weeks: played.filter(entry => entry.seasonType === 'regular') }
+    ];
+
+    for (const group of groups) {
+      if (group.weeks.length === 0) continue;
+
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = group.label;
+      for (const entry of group.weeks) {
+        const option = document.createElement('option');
+        option.value = entry.value;
+        option.textContent = entry.draft === null ? `${entry.label} (missing)` : entry.label;
+        option.disabled = entry.draft === null;
+        optgroup.appendChild(option);
+      }
+      select.appendChild(optgroup);
+    }
+
     // Add example option
     const exampleOption = document.createElement('option');
-    exampleOption.value = 0;
+    exampleOption.value = 'example';
     exampleOption.textContent = 'Example';
     select.appendChild(exampleOption);
+
+    // Keep the reader's pick if this scope has the same week
+    if ([...select.options].some(option => option.value === selected && !option.disabled)) {
+      select.value = selected;
+    } else {
+      select.value = 'current';
+      State.setWeek('current');
+    }
+  }
+
+  /**
+   * Render the archive of this season's weeks for the current scope
+   */
+  function renderArchive() {
+    Render.renderArchive(playedWeeks(State.getCurrentScope()));
   }
 
   /**
@@ -107,7 +411,34 @@
   async function handleScopeChange(event) {
     const scope = event.target.value;
     State.setScope(scope);
+    State.setGame(null);
+    populateSeasonSelector();
+    populateWeekSelector();
+    renderArchive();
+    syncURL();
+    updatePushToggle();
+
+    await loadTeams(scope);
+    await loadAndRender();
+  }
+
+  /**
+   * Handle season change: start from that season's newest week
+   */
+  async function handleSeasonChange(event) {
+    const season = parseInt(event.target.value);
+    const current = State.resolveWeek().season;
 
+    State.setSeason(season === current ? 'current' : season);
+    State.setWeek('current');
+    State.setGame(null);
+
+    const weekSelect = document.getElementById('week-select');
+    if (weekSelect) weekSelect.value = 'current';
+
+    populateWeekSelector();
+    renderArchive();
+    syncURL();
     await loadAndRender();
   }
 
@@ -115,80 +446,459 @@
    * Handle week change
    */
   async function handleWeekChange(event) {
-    const week = event.target.value === 'current' ? 'current' : parseInt(event.target.value);
-    State.setWeek(week);
+    await selectWeek(event.target.value);
+  }
 
+  /**
+   * Select a week ("current", "example", or "regular:3" / "postseason:1") and load it
+   */
+  async function selectWeek(value) {
+    if (value === 'current' || value === 'example') {
+      State.setWeek(value);
+    } else {
+      const [seasonType, week] = value.split(':');
+      State.setWeek(parseInt(week), seasonType);
+    }
+    State.setGame(null);
+
+    syncURL();
     await loadAndRender();
   }
 
+  /**
+   * Handle archive row click: open that week's draft
+   */
+  async function handleArchiveClick(event) {
+    const row = event.target.closest('.archive-week[data-week]');
+    if (!row) return;
+
+    const select = document.getElementById('week-select');
+    if (select) select.value = row.dataset.week;
+
+    await selectWeek(row.dataset.week);
+    window.scrollTo(0, 0);
+  }
+
   /**
    * Handle search input
    */
   function handleSearch(event) {
     const term = event.target.value;
     State.setSearchTerm(term);
+    Render.applySearchFilter();
+    renderOtherWeeks();
 
-    // Debounce search for performance
+    // Filtering only toggles rows; the URL waits for a pause in typing
     clearTimeout(handleSearch.timer);
     handleSearch.timer = setTimeout(() => {
-      Render.applySearchFilter();
-    }, 10);
+      syncURL({ replace: true, keepHash: true });
+    }, 300);
   }
 
+  // The selected season's drafts, fetched once the reader asks to search them
+  let otherWeeks = { key: null, drafts: null, loading: false };
+
   /**
-   * Load and render data based on current state
+   * Index entries of the selected season, except the draft on screen
    */
-  async function loadAndRender() {
+  function otherWeekEntries() {
     const scope = State.getCurrentScope();
-    const week = State.getCurrentWeek();
-    const path = State.dataPath(scope, week);
+    const season = State.getCurrentSeason(scope);
+    const meta = State.getData()?.meta;
+    const isShown = entry => Boolean(meta) && entry.season === meta.season &&
+      entry.week === meta.week && entry.season_type === (meta.season_type || 'regular');
 
-    let data = await loadData(path);
+    return (State.getDrafts(scope) || []).filter(entry => entry.season === season && !isShown(entry));
+  }
 
-    // If no data and not week 0 (example), show no draft
-    if (!data && week !== 0) {
-      renderAll(null);
+  /**
+   * Show the search's matches in the season's other weeks, or the button
+   * to fetch them; hidden without a search or other drafts
+   */
+  function renderOtherWeeks() {
+    const scope = State.getCurrentScope();
+    const season = State.getCurrentSeason(scope);
+    const key = `${scope}:${season}`;
+    if (otherWeeks.key !== key) {
+      otherWeeks = { key, drafts: null, loading: false };
+    }
+
+    const entries = otherWeekEntries();
+    const terms = Search.parse(State.getSearchTerm());
+    if (terms.length === 0 || entries.length === 0 || State.getCurrentWeek() === 'example') {
+      Render.renderOtherWeeks(null);
       return;
     }
 
-    // For week 0, use example as fallback
-    if (!data && week === 0) {
-      data = await loadFallback();
+    if (!otherWeeks.drafts) {
+      Render.renderOtherWeeks({ season, weeks: entries.length, loading: otherWeeks.loading });
+      return;
+    }
+
+    const results = entries
+      .filter(entry => otherWeeks.drafts.has(entry.path))
+      .map(entry => ({ entry, ...Search.searchDraft(otherWeeks.drafts.get(entry.path), terms) }))
+      .filter(week => week.games.length > 0 || week.opinions.length > 0);
+
+    Render.renderOtherWeeks({ season, weeks: entries.length, results });
+  }
+
+  /**
+   * Fetch every draft of the selected season (the one on screen too, so
+   * switching weeks keeps them all) and search them
+   */
+  async function searchOtherWeeks() {
+    const scope = State.getCurrentScope();
+    const season = State.getCurrentSeason(scope);
+    const entries = (State.getDrafts(scope) || []).filter(entry => entry.season === season);
+    const key = otherWeeks.key;
+
+    otherWeeks.loading = true;
+    renderOtherWeeks();
+
+    const drafts = await Promise.all(entries.map(entry => fetchDraft(entry.path)));
+
+    // Scope or season changed while loading
+    if (otherWeeks.key !== key) return;
+
+    otherWeeks = {
+      key,
+      drafts: new Map(entries.map((entry, i) => [entry.path, drafts[i]]).filter(([, draft]) => draft)),
+      loading: false
+    };
+    renderOtherWeeks();
+  }
+
+  /**
+   * Handle "Other Weeks" clicks: run the search, or open a result in place
+   */
+  async function handleOtherWeeksClick(event) {
+    if (event.target.closest('.search-weeks')) {
+      await searchOtherWeeks();
+      return;
+    }
+
+    const link = event.target.closest('a.week-result, a.week-results-label');
+    if (!link) return;
+
+    event.preventDefault();
+    history.pushState(null, '', link.getAttribute('href'));
+    await restoreFromURL();
+    if (!location.hash) window.scrollTo(0, 0);
+  }
+
+  /**
+   * Handle tag chip click: filter Top Games by tag, or clear if already active
+   */
+  function handleTagClick(event) {
+    const chip = event.target.closest('.tag-chip');
+    if (!chip) return;
+
+    const tag = chip.dataset.tag;
+    State.setTagFilter(State.getTagFilter() === tag ? '' : tag);
+    Render.applySearchFilter();
+    syncURL({ replace: true, keepHash: true });
+  }
+
+  /**
+   * Update everything favorites touch: stars, Your Teams, What's Next
+   */
+  function renderFavorites() {
+    Render.refreshFavorites();
+  }
+
+  /**
+   * Handle star click: follow or unfollow a team
+   * Keeps focus on the same star once the section is redrawn
+   */
+  function handleFavoriteClick(event) {
+    const star = event.target.closest('.fav-toggle');
+    if (!star) return;
+
+    const team = star.dataset.team;
+    const section = star.closest('section');
+    State.toggleFavorite(team);
+    renderFavorites();
+
+    const redrawn = [...(section?.querySelectorAll('.fav-toggle') || [])].find(el => el.dataset.team === team);
+    if (redrawn) redrawn.focus();
+  }
+
+  /**
+   * Handle the "Follow a team" picker
+   */
+  function handleFollowPick(event) {
+    const select = event.target.closest('.your-teams-add');
+    if (!select || !select.value) return;
+
+    State.toggleFavorite(select.value);
+    renderFavorites();
+    document.querySelector('#your-teams .your-teams-add')?.focus();
+  }
+
+  /**
+   * Handle permalink click: open the game's week in place and scroll to it
+   */
+  async function handlePermalinkClick(event) {
+    const link = event.target.closest('.game-permalink');
+    if (!link) return;
+
+    event.preventDefault();
+    history.pushState(null, '', link.getAttribute('href'));
+    await restoreFromURL();
+  }
+
+  /**
+   * Handle a tap on a game card (outside its buttons and links) or its
+   * "Box score" link: open the game's detail view
+   */
+  async function handleGameOpen(event) {
+    const card = event.target.closest('.game[data-game-id]');
+    const link = card?.querySelector('.game-detail-link');
+    if (!link) return;
+
+    const control = event.target.closest('a, button');
+    if (control && control !== link) return;
+
+    event.preventDefault();
+
+    // Marked so the detail view's back button can return with history.back()
+    history.pushState({ fromWeek: true }, '', link.getAttribute('href'));
+    await restoreFromURL();
+  }
+
+  /**
+   * Handle the detail view's back button: back to the week, at the game
+   */
+  async function handleGameClose(event) {
+    if (!event.target.closest('.detail-back')) return;
+
+    if (history.state?.fromWeek) {
+      history.back();
+      return;
     }
 
+    // Opened from a link: go to the game's card instead
+    history.pushState(null, '', State.permalink(State.getGame()));
+    await restoreFromURL();
+  }
+
+  /**
+   * Handle top games click: tag chips, stars, permalinks and game details
+   */
+  function handleTopGamesClick(event) {
+    handleTagClick(event);
+    handleFavoriteClick(event);
+    handlePermalinkClick(event);
+    handleGameOpen(event);
+  }
+
+  /**
+   * Handle opinion tap or Enter/Space: show the stat behind it
+   */
+  function handleOpinionToggle(event) {
+    if (event.type === 'keydown' && event.key !== 'Enter' && event.key !== ' ') return;
+
+    const opinion = event.target.closest('.opinion.has-stat');
+    if (!opinion) return;
+
+    if (event.type === 'keydown') event.preventDefault();
+    Render.toggleOpinionStat(opinion);
+  }
+
+  /**
+   * Load and render data based on current state
+   */
+  async function loadAndRender() {
+    if (State.getCurrentWeek() === 'example') {
+      renderAll(await loadFallback());
+      return;
+    }
+
+    const data = await loadDraft();
+
+    // No draft for this week yet
     renderAll(data);
   }
 
+  // Set when the reader accepts an update, so the takeover reloads the page
+  let updateRequested = false;
+
+  /**
+   * Show the "New version available" banner for a waiting service worker
+   * Reloading asks it to take over; the page reloads once it has
+   */
+  function showUpdateBanner(worker) {
+    const banner = document.getElementById('update-banner');
+    const button = document.getElementById('update-reload');
+    if (!banner || !button) return;
+
+    banner.hidden = false;
+    button.onclick = () => {
+      button.disabled = true;
+      updateRequested = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+  }
+
+  /**
+   * Register the service worker and watch for new versions
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // updateViaCache: 'none' so a new asset-manifest.js is always noticed
+    navigator.serviceWorker.register('/sw.js', { updateViaCache: 'none' })
+      .then(reg => {
+        console.log('SW registered:', reg);
+
+        // Only an update waits; the first install has no controller to replace
+        if (reg.waiting && navigator.serviceWorker.controller) {
+          showUpdateBanner(reg.waiting);
+        }
+        reg.addEventListener('updatefound', () => {
+          const worker = reg.installing;
+          if (!worker) return;
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              showUpdateBanner(worker);
+            }
+          });
+        });
+      })
+      .catch(err => console.error('SW registration failed:', err));
+
+    // The first install also claims the page; only reload for a requested update
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!updateRequested) return;
+      updateRequested = false;
+      location.reload();
+    });
+  }
+
+  /**
+   * Show the notifications toggle's state for the current scope
+   */
+  async function updatePushToggle() {
+    const button = document.getElementById('push-toggle');
+    const scopeSelect = document.getElementById('scope-select');
+    if (!button || button.hidden) return;
+
+    const scope = State.getCurrentScope();
+    const name = scopeSelect?.selectedOptions[0]?.textContent || scope.toUpperCase();
+    const on = (await Push.getScopes()).includes(scope);
+
+    button.textContent = on ? '🔔 On' : '🔕 Notify me';
+    button.setAttribute('aria-pressed', String(on));
+    // Blocked in the browser: only the browser's site settings can undo it
+    button.disabled = !on && Push.isBlocked();
+    button.title = button.disabled
+      ? 'Notifications are blocked in your browser settings'
+      : on ? `Stop ${name} draft notifications` : `Get a notification when a new ${name} draft is out`;
+  }
+
+  /**
+   * Handle the notifications toggle
+   */
+  async function handlePushToggle(event) {
+    const button = event.currentTarget;
+    const scope = State.getCurrentScope();
+    button.disabled = true;
+
+    try {
+      if ((await Push.getScopes()).includes(scope)) {
+        await Push.removeScope(scope);
+      } else {
+        await Push.addScope(scope);
+      }
+    } catch (error) {
+      console.error('❌ Notifications:', error.message);
+    }
+
+    button.disabled = false;
+    await updatePushToggle();
+  }
+
+  /**
+   * Offer new-draft notifications where the browser supports them and
+   * data/push.json configures them
+   */
+  async function setupPushToggle() {
+    const button = document.getElementById('push-toggle');
+    if (!button || !Push.isSupported() || !(await Push.loadConfig())) return;
+
+    button.hidden = false;
+    button.addEventListener('click', handlePushToggle);
+    await updatePushToggle();
+  }
+
   /**
    * Main initialization
    */
   function init() {
-    // Register service worker
-    if ('serviceWorker' in navigator) {
-      navigator.serviceWorker.register('/sw.js')
-        .then(reg => console.log('SW registered:', reg))
-        .catch(err => console.error('SW registration failed:', err));
-    }
+    registerServiceWorker();
+    setupPushToggle();
 
     // Setup event listeners
     const scopeSelect = document.getElementById('scope-select');
+    const seasonSelect = document.getElementById('season-select');
     const weekSelect = document.getElementById('week-select');
     const searchInput = document.getElementById('search');
+    const topGames = document.querySelector('#top-games .games');
+    const yourTeams = document.querySelector('#your-teams .body');
+    const opinions = document.querySelector('#quick-opinions .body');
+    const archive = document.querySelector('#archive .body');
+    const otherWeeksBody = document.querySelector('#other-weeks .body');
+    const gameDetail = document.querySelector('#game-detail .body');
 
     if (scopeSelect) {
       scopeSelect.addEventListener('change', handleScopeChange);
     }
 
+    if (seasonSelect) {
+      seasonSelect.addEventListener('change', handleSeasonChange);
+    }
+
     if (weekSelect) {
       weekSelect.addEventListener('change', handleWeekChange);
-      populateWeekSelector();
     }
 
     if (searchInput) {
       searchInput.addEventListener('input', handleSearch);
     }
 
-    // Initial load
+    if (topGames) {
+      topGames.addEventListener('click', handleTopGamesClick);
+    }
+
+    if (yourTeams) {
+      yourTeams.addEventListener('click', handleFavoriteClick);
+      yourTeams.addEventListener('change', handleFollowPick);
+    }
+
+    if (opinions) {
+      opinions.addEventListener('click', handleOpinionToggle);
+      opinions.addEventListener('keydown', handleOpinionToggle);
+    }
+
+    if (archive) {
+      archive.addEventListener('click', handleArchiveClick);
+    }
+
+    if (otherWeeksBody) {
+      otherWeeksBody.addEventListener('click', handleOtherWeeksClick);
+    }
+
+    if (gameDetail) {
+      gameDetail.addEventListener('click', handleGameClose);
+    }
+
+    // Back/forward between views
+    window.addEventListener('popstate', restoreFromURL);
+
+    // Initial load, starting from the URL (?scope=nfl&week=5&q=utah#game-...)
+    State.fromQuery(location.search);
+    syncControls();
     initialize();
   }
 
@@ -0,0 +1,182 @@
+/**
+ * Season calendar: week boundaries per scope and season
+ * Weeks run Tuesday to Monday so Monday night games stay with their weekend.
+ * Shared by the app and the generator.
+ */
+
+const SeasonCalendar = {
+  // Weeks turn over Tuesday 10:00 UTC, after Monday night games end
+  ROLLOVER_HOUR_UTC: 10,
+
+  /**
+   * Season shape per scope: regular-season week range and postseason rounds
+   * (each round spans `weeks` calendar weeks)
+   */
+  FORMATS: {
+    cfb: {
+      first_week: 0,
+      last_week: 16,
+      postseason: [
+        { label: 'Bowls', weeks: 3 },
+        { label: 'CFP Semifinals', weeks: 1 },
+        { label: 'National Championship', weeks: 2 }
+      ]
+    },
+    nfl: {
+      first_week: 1,
+      last_week: 18,
+      postseason: [
+        { label: 'Wild Card', weeks: 1 },
+        { label: 'Divisional', weeks: 1 },
+        { label: 'Conference Championships', weeks: 2 },
+        { label: 'Super Bowl', weeks: 1 }
+      ]
+    }
+  },
+
+  /**
+   * Tuesday that opens week 1, per scope and season
+   * Seasons not listed are derived from Labor Day (see _weekOneStart)
+   */
+  SEASONS: {
+    cfb: {
+      2024: '2024-08-27',
+      2025: '2025-08-26',
+      2026: '2026-09-01'
+    },
+    nfl: {
+      2024: '2024-09-03',
+      2025: '2025-09-02',
+      2026: '2026-09-08'
+    }
+  },
+
+  /**
+   * Every week of a season in order
+   * @param {string} scope - 'cfb' or 'nfl'
+   * @param {number} season - Season year (the year it kicks off)
+   * @returns {Array} [{ scope, season, seasonType, week, label, start, end }]
+   */
+  weeks(scope, season) {
+    const format = this.FORMATS[scope];
+    if (!format) return [];
+
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    const weekOne = this._weekOneStart(scope, season);
+    const weeks = [];
+
+    for (let week = format.first_week; week <= format.last_week; week++) {
+      const start = new Date(weekOne.getTime() + (week - 1) * weekMs);
+      weeks.push({
+        scope,
+        season,
+        seasonType: 'regular',
+        week,
+        label: `Week ${week}`,
+        start,
+        end: new Date(start.getTime() + weekMs)
+      });
+    }
+
+    let start = weeks[weeks.length - 1].end;
+    format.postseason.forEach((round, i) => {
+      const end = new Date(start.getTime() + round.weeks * weekMs);
+      weeks.push({ scope, season, seasonType: 'postseason', week: i + 1, label: round.label, start, end });
+      start = end;
+    });
+
+    return weeks;
+  },
+
+  /**
+   * Week in progress on a date; in the offseason, the last week played
+   * @param {string} scope - 'cfb' or 'nfl'
+   * @param {Date} [date] - Defaults to now
+   * @returns {Object|null} Week entry (see weeks)
+   */
+  resolve(scope, date = new Date()) {
+    const year = date.getUTCFullYear();
+
+    // January and February belong to the previous season's postseason
+    for (const season of [year, year - 1]) {
+      const weeks = this.weeks(scope, season);
+      if (weeks.length === 0) return null;
+
+      if (date >= weeks[0].start) {
+        return weeks.find(entry => date < entry.end) || weeks[weeks.length - 1];
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Look up one week
+   * @param {string} scope - 'cfb' or 'nfl'
+   * @param {number} season - Season year
+   * @param {string} seasonType - 'regular' or 'postseason'
+   * @param {number} week - Week (regular) or round (postseason) number
+   * @returns {Object|null} Week entry
+   */
+  find(scope, season, seasonType, week) {
+    return this.weeks(scope, season)
+      .find(entry => entry.seasonType === seasonType && entry.week === week) || null;
+  },
+
+  /**
+   * Final week of a season, or its final week of one season type
+   * @param {string} scope - 'cfb' or 'nfl'
+   * @param {number} season - Season year
+   * @param {string} [seasonType] - 'regular' or 'postseason'
+   * @returns {Object|null} Week entry
+   */
+  last(scope, season, seasonType) {
+    const weeks = this.weeks(scope, season).filter(entry => !seasonType || entry.seasonType === seasonType);
+    return weeks[weeks.length - 1] || null;
+  },
+
+  /**
+   * The week after this one, crossing into the postseason
+   * @param {Object} entry - Week entry
+   * @returns {Object|null} Next week entry, or null after the final round
+   */
+  next(entry) {
+    const weeks = this.weeks(entry.scope, entry.season);
+    const index = weeks.findIndex(w => w.seasonType === entry.seasonType && w.week === entry.week);
+    return index >= 0 ? weeks[index + 1] || null : null;
+  },
+
+  /**
+   * Display label ("Week 3", "Bowls", "Wild Card")
+   * @param {string} scope - 'cfb' or 'nfl'
+   * @param {string} seasonType - 'regular' or 'postseason'
+   * @param {number} week - Week or round number
+   * @returns {string}
+   */
+  label(scope, seasonType, week) {
+    const round = seasonType === 'postseason' && this.FORMATS[scope]?.postseason[week - 1];
+    return round ? round.label : `Week ${week}`;
+  },
+
+  /**
+   * Start of week 1: the listed date, or derived from Labor Day
+   * (CFB week 1 ends Labor Day weekend; the NFL opens the Thursday after)
+   * @private
+   */
+  _weekOneStart(scope, season) {
+    const listed = this.SEASONS[scope]?.[season];
+    if (listed) {
+      const [y, m, d] = listed.split('-').map(Number);
+      return new Date(Date.UTC(y, m - 1, d, this.ROLLOVER_HOUR_UTC));
+    }
+
+    const septFirst = new Date(Date.UTC(season, 8, 1)).getUTCDay();
+    const laborDay = 1 + (8 - septFirst) % 7;
+    const offset = scope === 'nfl' ? 1 : -6;
+    return new Date(Date.UTC(season, 8, laborDay + offset, this.ROLLOVER_HOUR_UTC));
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeasonCalendar;
+}
@@ -0,0 +1,494 @@
+/**
+ * Draft editor (editor.html)
+ * Edits a week's draft in the browser with a live Render preview, checks it
+ * against the draft contract and exports a draft or overrides file
+ */
+
+(function() {
+  'use strict';
+
+  // Game fields editable here (and in an overrides file)
+  const GAME_FIELDS = ['recap_2s', 'one_stat', 'why_it_mattered', 'tags'];
+
+  let original = null;   // Draft as loaded
+  let draft = null;      // Draft being edited
+  let existing = null;   // Overrides already on disk for this draft
+  let fileName = 'draft.json';
+  let dragIndex = null;
+
+  /**
+   * Deep copy of plain JSON
+   */
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Fetch JSON, or null on any failure
+   */
+  async function fetchJSON(path) {
+    try {
+      const response = await fetch(path);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.warn(`Failed to load ${path}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fill the draft picker from data/index.json
+   */
+  async function loadIndex() {
+    const select = document.getElementById('draft-select');
+    const index = await fetchJSON('/data/index.json');
+    if (!select || !index) return;
+
+    for (const [scope, entries] of Object.entries(index.scopes || {})) {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = scope.toUpperCase();
+      for (const entry of entries) {
+        const option = document.createElement('option');
+        option.value = entry.path;
+        option.textContent = `${entry.season} ${entry.label}`;
+        optgroup.appendChild(option);
+      }
+      select.appendChild(optgroup);
+    }
+  }
+
+  /**
+   * Open a published draft and the overrides file beside it
+   */
+  async function openPath(path) {
+    const data = await fetchJSON(path);
+    if (!data) {
+      setStatus(`Couldn't load ${path}`);
+      return;
+    }
+
+    existing = await fetchJSON(path.replace(/\.json$/, '.overrides.json')) || {};
+    fileName = path.split('/').pop();
+    await openDraft(data, path);
+  }
+
+  /**
+   * Open a draft file from disk (no overrides to start from)
+   */
+  async function openFile(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      setStatus(`${file.name} is not valid JSON: ${error.message}`);
+      return;
+    }
+
+    existing = {};
+    fileName = file.name;
+    await openDraft(data, file.name);
+  }
+
+  /**
+   * Start editing a draft
+   */
+  async function openDraft(data, source) {
+    const scope = data?.meta?.scope;
+    if (scope && State.setScope(scope)) {
+      const registry = await fetchJSON(`/data/teams/${scope}.json`);
+      State.setTeams(registry?.teams);
+    }
+
+    original = clone(data);
+    draft = clone(data);
+
+    for (const id of ['export-draft', 'reset', 'add-opinion', 'add-next']) {
+      document.getElementById(id).disabled = false;
+    }
+
+    setStatus(`Editing ${source}`);
+    renderEditor();
+    update();
+  }
+
+  /**
+   * Re-check the draft and refresh the preview after an edit
+   */
+  function update() {
+    State.setData(draft);
+    const errors = DraftSchema.validate(draft);
+
+    if (errors.length > 0) {
+      Render.renderInvalid(errors);
+    } else {
+      Render.renderTopGames(draft.top_games);
+      Render.renderOpinions(draft.quick_opinions);
+      Render.renderWhatsNext(draft.whats_next);
+      Render.renderMeta(draft.meta);
+    }
+    document.title = `Draft Editor — ${draft.meta?.label || fileName}`;
+
+    renderErrors(errors);
+    document.getElementById('export-draft').disabled = errors.length > 0;
+    document.getElementById('export-overrides').disabled = errors.length > 0 || !canExportOverrides();
+  }
+
+  /**
+   * Show contract errors, or that the draft is good to export
+   */
+  function renderErrors(errors) {
+    const container = document.getElementById('editor-errors');
+    container.innerHTML = '';
+
+    if (errors.length === 0) {
+      const ok = document.createElement('div');
+      ok.className = 'editor-ok';
+      ok.textContent = 'Matches the draft format';
+      container.appendChild(ok);
+      return;
+    }
+
+    const box = document.createElement('div');
+    box.className = 'editor-errors';
+    box.textContent = `${errors.length} problem${errors.length === 1 ? '' : 's'} to fix before exporting:`;
+
+    const list = document.createElement('ul');
+    for (const error of errors) {
+      const item = document.createElement('li');
+      item.textContent = `${error.path} ${error.message}`;
+      list.appendChild(item);
+    }
+    box.appendChild(list);
+    container.appendChild(box);
+  }
+
+  function setStatus(text) {
+    document.getElementById('editor-status').textContent = text;
+  }
+
+  /**
+   * Rebuild the edit forms (after load, reorder, add or remove)
+   */
+  function renderEditor() {
+    renderGameForms();
+    renderOpinionForms();
+    renderNextForms();
+  }
+
+  /**
+   * One card per top game, draggable to reorder
+   */
+  function renderGameForms() {
+    const container = document.getElementById('edit-games');
+    container.innerHTML = '';
+
+    draft.top_games.forEach((game, i) => {
+      const card = document.createElement('div');
+      card.className = 'edit-card';
+      card.draggable = true;
+      card.dataset.index = String(i);
+
+      const header = document.createElement('div');
+      header.className = 'edit-card-header';
+      header.appendChild(createText('span', 'drag-handle', '⋮⋮'));
+      header.appendChild(createText('span', 'title', `${game.away?.name || ''} at ${game.home?.name || ''} ${game.final || ''}`));
+      header.appendChild(createButton('↑', 'Move up', () => moveGame(i, i - 1), i === 0));
+      header.appendChild(createButton('↓', 'Move down', () => moveGame(i, i + 1), i === draft.top_games.length - 1));
+      card.appendChild(header);
+
+      card.appendChild(createField('Recap', 'textarea', game.recap_2s, value => { game.recap_2s = value; }));
+      card.appendChild(createField('One stat', 'input', game.one_stat, value => { game.one_stat = value; }));
+      card.appendChild(createField('Why it mattered', 'textarea', game.why_it_mattered, value => { game.why_it_mattered = value; }));
+      card.appendChild(createField('Tags (comma-separated)', 'input', (game.tags || []).join(', '), value => {
+        game.tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+      }));
+
+      if (game.ids?.game_id === undefined || game.ids?.game_id === '') {
+        card.appendChild(createText('div', 'edit-note', 'No ids.game_id: edits to this game can only be exported in the draft JSON'));
+      }
+
+      container.appendChild(card);
+    });
+  }
+
+  /**
+   * One card per opinion; cited stats are kept as they are
+   */
+  function renderOpinionForms() {
+    const container = document.getElementById('edit-opinions');
+    container.innerHTML = '';
+
+    draft.quick_opinions.forEach((opinion, i) => {
+      const card = document.createElement('div');
+      card.className = 'edit-card';
+
+      const text = typeof opinion === 'string' ? opinion : opinion.text;
+      card.appendChild(createField(`Opinion ${i + 1}`, 'textarea', text, value => {
+        if (typeof draft.quick_opinions[i] === 'string') {
+          draft.quick_opinions[i] = value;
+        } else {
+          draft.quick_opinions[i].text = value;
+        }
+      }));
+
+      if (opinion && opinion.stat) {
+        card.appendChild(createText('div', 'edit-note', `Cites ${opinion.stat.label}: ${opinion.stat.value}`));
+      }
+      card.appendChild(createButton('Remove', 'Remove this opinion', () => {
+        draft.quick_opinions.splice(i, 1);
+        renderOpinionForms();
+        update();
+      }));
+
+      container.appendChild(card);
+    });
+  }
+
+  /**
+   * One card per What's Next row
+   */
+  function renderNextForms() {
+    const container = document.getElementById('edit-next');
+    container.innerHTML = '';
+
+    draft.whats_next.forEach((item, i) => {
+      const card = document.createElement('div');
+      card.className = 'edit-card';
+
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.appendChild(createField('When', 'input', item.when, value => { item.when = value; }));
+      row.appendChild(createField('Match', 'input', item.match, value => {
+        // teams and ids name the scheduled game; an edited match is read for its teams instead
+        item.match = value;
+        delete item.teams;
+        delete item.ids;
+      }));
+      card.appendChild(row);
+      card.appendChild(createField('Hook', 'input', item.hook, value => { item.hook = value; }));
+      card.appendChild(createButton('Remove', 'Remove this game', () => {
+        draft.whats_next.splice(i, 1);
+        renderNextForms();
+        update();
+      }));
+
+      container.appendChild(card);
+    });
+  }
+
+  /**
+   * Labeled input or textarea that writes back on every keystroke
+   */
+  function createField(label, tag, value, onInput) {
+    const wrapper = document.createElement('label');
+    wrapper.textContent = label;
+
+    const field = document.createElement(tag);
+    field.value = value || '';
+    field.addEventListener('input', () => {
+      onInput(field.value);
+      update();
+    });
+    wrapper.appendChild(field);
+
+    return wrapper;
+  }
+
+  function createButton(text, label, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function createText(tag, className, text) {
+    const el = document.createElement(tag);
+    el.className = className;
+    el.textContent = text;
+    return el;
+  }
+
+  /**
+   * Move a top game to a new position
+   */
+  function moveGame(from, to) {
+    if (to < 0 || to >= draft.top_games.length || from === to) return;
+
+    const [game] = draft.top_games.splice(from, 1);
+    draft.top_games.splice(to, 0, game);
+    renderGameForms();
+    update();
+  }
+
+  /**
+   * Drag-to-reorder for the top game cards
+   */
+  function handleDrag(event) {
+    const card = event.target.closest?.('.edit-card[data-index]');
+
+    switch (event.type) {
+      case 'dragstart':
+        if (!card) return;
+        dragIndex = parseInt(card.dataset.index);
+        card.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', card.dataset.index);
+        break;
+      case 'dragover':
+        if (!card || dragIndex === null) return;
+        event.preventDefault();
+        for (const el of document.querySelectorAll('.edit-card.drop-target')) el.classList.remove('drop-target');
+        card.classList.add('drop-target');
+        break;
+      case 'drop':
+        if (!card || dragIndex === null) return;
+        event.preventDefault();
+        moveGame(dragIndex, parseInt(card.dataset.index));
+        dragIndex = null;
+        break;
+      case 'dragend':
+        dragIndex = null;
+        for (const el of document.querySelectorAll('.edit-card.dragging, .edit-card.drop-target')) {
+          el.classList.remove('dragging', 'drop-target');
+        }
+        break;
+    }
+  }
+
+  /**
+   * Overrides need every top game to carry ids.game_id
+   */
+  function canExportOverrides() {
+    return draft.top_games.every(game => game.ids?.game_id !== undefined && game.ids.game_id !== '');
+  }
+
+  /**
+   * Overrides for the edits so far, on top of the ones already on disk
+   * (the loaded draft already includes those, so only new changes are added)
+   */
+  function buildOverrides() {
+    const overrides = clone(existing || {});
+    const idOf = game => String(game.ids.game_id);
+    const before = new Map(original.top_games.map(game => [idOf(game), game]));
+
+    for (const game of draft.top_games) {
+      const old = before.get(idOf(game)) || {};
+      for (const field of GAME_FIELDS) {
+        if (JSON.stringify(game[field]) === JSON.stringify(old[field])) continue;
+        overrides.games = overrides.games || {};
+        overrides.games[idOf(game)] = { ...overrides.games[idOf(game)], [field]: game[field] };
+      }
+    }
+
+    const order = draft.top_games.map(idOf);
+    if (order.join() !== original.top_games.map(idOf).join()) {
+      overrides.order = order;
+    }
+
+    if (JSON.stringify(draft.quick_opinions) !== JSON.stringify(original.quick_opinions)) {
+      overrides.opinions = clone(draft.quick_opinions);
+      overrides.replace_opinions = true;
+    }
+
+    if (JSON.stringify(draft.whats_next) !== JSON.stringify(original.whats_next)) {
+      overrides.whats_next = clone(draft.whats_next);
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Save text as a file download
+   */
+  function download(name, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function exportDraft() {
+    download(fileName, JSON.stringify(draft, null, 2) + '\n');
+  }
+
+  function exportOverrides() {
+    const overrides = buildOverrides();
+    const errors = DraftSchema.validate(overrides, DraftSchema.overridesSchema);
+    if (errors.length > 0) {
+      renderErrors(errors);
+      return;
+    }
+
+    download(fileName.replace(/\.json$/, '.overrides.json'), JSON.stringify(overrides, null, 2) + '\n');
+  }
+
+  function reset() {
+    draft = clone(original);
+    renderEditor();
+    update();
+  }
+
+  /**
+   * Main initialization
+   */
+  function init() {
+    const select = document.getElementById('draft-select');
+    const fileInput = document.getElementById('draft-file');
+    const games = document.getElementById('edit-games');
+
+    select.addEventListener('change', () => {
+      if (select.value) openPath(select.value);
+    });
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) openFile(fileInput.files[0]);
+    });
+
+    for (const type of ['dragstart', 'dragover', 'drop', 'dragend']) {
+      games.addEventListener(type, handleDrag);
+    }
+
+    // Preview permalinks point at the app, not the editor
+    document.querySelector('.preview').addEventListener('click', event => {
+      if (event.target.closest('a')) event.preventDefault();
+    });
+
+    document.getElementById('export-draft').addEventListener('click', exportDraft);
+    document.getElementById('export-overrides').addEventListener('click', exportOverrides);
+    document.getElementById('reset').addEventListener('click', reset);
+    document.getElementById('add-opinion').addEventListener('click', () => {
+      draft.quick_opinions.push('');
+      renderOpinionForms();
+      update();
+    });
+    document.getElementById('add-next').addEventListener('click', () => {
+      draft.whats_next.push({ when: '', match: '', hook: '' });
+      renderNextForms();
+      update();
+    });
+
+    loadIndex();
+
+    // editor.html?path=/data/cfb/2025/week_05.json opens a draft directly
+    const path = new URLSearchParams(location.search).get('path');
+    if (path) {
+      select.value = path;
+      openPath(path);
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,131 @@
+/**
+ * New-draft notifications (Web Push)
+ * Subscribes this browser per scope and registers the subscription with the
+ * store named in data/push.json; scripts/sendPush.mjs reads the store
+ */
+
+const Push = {
+  _config: null,
+
+  // Scopes this browser asked to hear about (the store keeps the real list)
+  STORAGE_KEY: 'push-scopes',
+
+  /**
+   * Whether this browser can receive push notifications
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && 'serviceWorker' in navigator &&
+      'PushManager' in window && 'Notification' in window;
+  },
+
+  /**
+   * Load data/push.json; push stays off without it
+   * @returns {Promise<Object|null>} { vapid_public_key, store_url }
+   */
+  async loadConfig() {
+    try {
+      const response = await fetch('/data/push.json');
+      const config = response.ok ? await response.json() : null;
+      this._config = config && config.vapid_public_key && config.store_url ? config : null;
+    } catch (error) {
+      this._config = null;
+    }
+    return this._config;
+  },
+
+  /**
+   * Whether the reader has blocked notifications for this site
+   */
+  isBlocked() {
+    return Notification.permission === 'denied';
+  },
+
+  /**
+   * Scopes this browser is subscribed to (empty when not subscribed)
+   * @returns {Promise<Array>}
+   */
+  async getScopes() {
+    const reg = await navigator.serviceWorker.ready;
+    const subscription = await reg.pushManager.getSubscription();
+    if (!subscription) return [];
+
+    try {
+      return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  /**
+   * Start notifying about a scope, asking for permission and subscribing first if needed
+   * @param {string} scope - 'cfb' or 'nfl'
+   * @throws {Error} When permission is refused or the store rejects the subscription
+   */
+  async addScope(scope) {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notifications are blocked for this site');
+    }
+
+    const reg = await navigator.serviceWorker.ready;
+    const subscription = await reg.pushManager.getSubscription() ||
+      await reg.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: this.decodeKey(this._config.vapid_public_key)
+      });
+
+    const scopes = [...new Set([...(await this.getScopes()), scope])];
+    await this._post('/subscribe', { subscription: subscription.toJSON(), scopes });
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(scopes));
+  },
+
+  /**
+   * Stop notifying about a scope; unsubscribes entirely once none are left
+   * @param {string} scope - 'cfb' or 'nfl'
+   */
+  async removeScope(scope) {
+    const reg = await navigator.serviceWorker.ready;
+    const subscription = await reg.pushManager.getSubscription();
+    const scopes = (await this.getScopes()).filter(s => s !== scope);
+
+    if (subscription && scopes.length > 0) {
+      await this._post('/subscribe', { subscription: subscription.toJSON(), scopes });
+    } else if (subscription) {
+      const endpoint = subscription.endpoint;
+      await subscription.unsubscribe();
+      // The sender also drops subscriptions the push service reports gone
+      await this._post('/unsubscribe', { endpoint }).catch(error => console.warn('⚠️  Push store:', error.message));
+    }
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(scopes));
+  },
+
+  /**
+   * base64url VAPID public key -> bytes for pushManager.subscribe
+   * @param {string} key - base64url string
+   * @returns {Uint8Array}
+   */
+  decodeKey(key) {
+    const base64 = (key + '='.repeat((4 - key.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+  },
+
+  /**
+   * POST JSON to the subscription store
+   * @private
+   */
+  async _post(path, body) {
+    const response = await fetch(`${this._config.store_url.replace(/\/$/, '')}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error(`Subscription store error: ${response.status}`);
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Push;
+}
@@ -1,9 +1,38 @@
 /**
  * Idempotent rendering functions for game data
- * Uses document fragments for performance
+ * Uses document fragments for performance. Draft text comes from editors,
+ * models and outside APIs, so it only ever reaches the page as text nodes
+ * and attribute values (see _el), never as parsed HTML
  */
 
 const Render = {
+  // Logos are served from the site itself (see scripts/refreshTeams.mjs)
+  LOGO_PATH: /^\/assets\/logos\/[\w-]+\/[\w-]+\.(png|svg|webp|jpe?g)$/i,
+
+  // Searchable sections and what their rows are called in "no results" notes
+  SECTIONS: {
+    'top-games': 'games',
+    'your-teams': 'teams',
+    'quick-opinions': 'opinions',
+    'whats-next': 'games'
+  },
+
+  // Team stat rows in the detail view, in order; other stats follow by name
+  STAT_LABELS: {
+    first_downs: 'First downs',
+    total_yards: 'Total yards',
+    passing_yards: 'Passing yards',
+    rushing_yards: 'Rushing yards',
+    third_down: 'Third down',
+    turnovers: 'Turnovers',
+    possession: 'Possession'
+  },
+
+  // Rendered rows per section, keyed by game id (or position), so re-renders
+  // reuse rows whose data didn't change and filtering never rebuilds them:
+  // { [section]: { rows: Map(key -> { sig, item, el, doc, marks }), days, noResults } }
+  _sections: {},
+
   /**
    * Renders top games section
    * @param {Array} games - Array of game objects
@@ -12,34 +41,19 @@ const Render = {
     const container = document.querySelector('#top-games .games');
     if (!container) return;
 
-    container.innerHTML = '';
-
     if (!games || games.length === 0) {
-      const note = document.createElement('div');
-      note.className = 'no-draft';
-      note.textContent = 'Draft not ready yet';
-      container.appendChild(note);
+      this._renderNote('top-games', container, this._el('div', { class: 'no-draft' }, 'Draft not ready yet'));
       return;
     }
 
-    const fragment = document.createDocumentFragment();
-    const searchTerm = State.getSearchTerm();
-
-    for (const game of games) {
-      const gameEl = this._createGameElement(game);
-      
-      // Apply search filter if active
-      if (searchTerm) {
-        const searchText = this._getGameSearchText(game);
-        if (!searchText.includes(searchTerm)) {
-          gameEl.style.display = 'none';
-        }
-      }
-      
-      fragment.appendChild(gameEl);
-    }
+    // Permalinks depend on the draft's week as well as the game
+    const rows = this._keyRows('top-games', games, (game, index) => game.ids?.game_id || `#${index}`, game => {
+      const el = this._createGameElement(game);
+      const recap = el.querySelector('.game-recap');
+      return { el, doc: Search.gameDoc(game), marks: [{ el: recap, text: recap.textContent }] };
+    }, State.permalink(''));
 
-    container.appendChild(fragment);
+    this._mountSection('top-games', container, rows, [...rows.values()].map(row => row.el));
   },
 
   /**
@@ -47,88 +61,207 @@ const Render = {
    * @private
    */
   _createGameElement(game) {
-    const html = this._getGameHTML(game);
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-    
-    return temp.firstElementChild; // Return the .game div
+    const home = this._resolveTeam(game.home);
+    const away = this._resolveTeam(game.away);
+    const accent = this._getAccentStyle(home, away);
+    const gameId = game.ids?.game_id;
+    const permalink = gameId
+      ? this._el('a', { class: 'game-permalink', href: State.permalink(gameId), 'aria-label': 'Link to this game' }, '#')
+      : null;
+
+    const header = this._el('div', { class: 'game-header' },
+      this._createLogo(away), ' ', away.name, this._createStar(away.name),
+      ' at ', this._createLogo(home), ' ', home.name, this._createStar(home.name),
+      ' ', this._el('span', { class: 'game-final' }, game.final),
+      permalink && ' ', permalink
+    );
+
+    return this._el('div', {
+      class: `game${accent ? ' has-accent' : ''}`,
+      id: gameId ? State.gameAnchor(gameId) : null,
+      'data-game-id': gameId ?? null,
+      style: accent || null
+    },
+      header,
+      this._el('div', { class: 'game-recap' }, game.recap_2s),
+      game.one_stat ? this._el('div', { class: 'game-stat' }, game.one_stat) : null,
+      game.why_it_mattered ? this._el('div', { class: 'game-why' }, game.why_it_mattered) : null,
+      this._createTags(game.tags),
+      gameId && this._el('a', { class: 'game-detail-link', href: State.detailLink(gameId) }, 'Box score ›')
+    );
+  },
+
+  /**
+   * Build an element without parsing HTML: attributes go through
+   * setAttribute and every child that isn't a node becomes text
+   * Null, undefined and false (attributes or children) are skipped
+   * @param {string} tag
+   * @param {Object} [attrs] - Attribute values; never event handlers
+   * @param {...*} children - Nodes, text, or arrays of them
+   * @returns {Element}
+   * @private
+   */
+  _el(tag, attrs = {}, ...children) {
+    const el = document.createElement(tag);
+
+    for (const [name, value] of Object.entries(attrs)) {
+      if (value === null || value === undefined || value === false) continue;
+      if (/^on/i.test(name)) {
+        throw new Error(`Render._el: refusing event handler attribute ${name}`);
+      }
+      el.setAttribute(name, String(value));
+    }
+
+    for (const child of children.flat()) {
+      if (child === null || child === undefined || child === false) continue;
+      el.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+    }
+
+    return el;
+  },
+
+  /**
+   * Logo, or the team's abbreviation when the draft has none or names one
+   * outside /assets/logos/
+   * @private
+   */
+  _createLogo(team) {
+    if (typeof team.logo === 'string' && this.LOGO_PATH.test(team.logo)) {
+      return this._el('img', { src: team.logo, alt: '', class: 'game-logo' });
+    }
+    return this._el('span', {}, team.abbr || team.name);
+  },
+
+  /**
+   * Follow/unfollow star for a team
+   * @private
+   */
+  _createStar(name) {
+    if (!name) return null;
+
+    const star = this._el('button', { type: 'button', class: 'fav-toggle', 'data-team': name });
+    this._setStar(star);
+    return star;
+  },
+
+  /**
+   * Show whether a star's team is followed
+   * @private
+   */
+  _setStar(star) {
+    const name = star.dataset.team;
+    const following = State.isFavorite(name);
+    star.setAttribute('aria-pressed', String(following));
+    star.setAttribute('aria-label', `${following ? 'Unfollow' : 'Follow'} ${name}`);
+    star.textContent = following ? '★' : '☆';
   },
 
   /**
-   * Get HTML for a single game
+   * Fill a draft team from the registry: canonical abbr and color
+   * Logos come from the draft only; the generator links them once the file exists
    * @private
    */
-  _getGameHTML(game) {
-    const home = game.home || {};
-    const away = game.away || {};
-    const homeLogo = home.logo ? `<img src="${home.logo}" alt="" class="game-logo">` : `<span>${home.abbr || home.name}</span>`;
-    const awayLogo = away.logo ? `<img src="${away.logo}" alt="" class="game-logo">` : `<span>${away.abbr || away.name}</span>`;
+  _resolveTeam(team) {
+    team = team || {};
+    const entry = State.getTeam(team.name);
+    if (!entry) return team;
 
-    return `
-      <div class="game">
-        <div class="game-header">
-          ${awayLogo} ${away.name || ''} at ${homeLogo} ${home.name || ''}
-          <span class="game-final">${game.final || ''}</span>
-        </div>
-        <div class="game-recap">${game.recap_2s || ''}</div>
-        ${game.one_stat ? `<div class="game-stat">${game.one_stat}</div>` : ''}
-        ${game.why_it_mattered ? `<div class="game-why">${game.why_it_mattered}</div>` : ''}
-      </div>
-    `.trim();
+    return {
+      ...team,
+      abbr: entry.abbr || team.abbr,
+      color: team.color || entry.color
+    };
   },
 
   /**
-   * Extract searchable text from a game
+   * Inline custom properties for the team-color accent, or '' without colors
    * @private
    */
-  _getGameSearchText(game) {
-    const parts = [
-      game.home?.name || '',
-      game.home?.abbr || '',
-      game.away?.name || '',
-      game.away?.abbr || '',
-      game.recap_2s || '',
-      game.one_stat || '',
-      game.why_it_mattered || '',
-      (game.tags || []).join(' ')
-    ];
-    return parts.join(' ').toLowerCase();
+  _getAccentStyle(home, away) {
+    const isHex = color => /^#[0-9a-f]{6}$/i.test(color || '');
+    const homeColor = isHex(home.color) ? home.color : null;
+    const awayColor = isHex(away.color) ? away.color : null;
+    if (!homeColor && !awayColor) return '';
+
+    return `--away-color: ${awayColor || homeColor}; --home-color: ${homeColor || awayColor}`;
+  },
+
+  /**
+   * Tag chips for a game, or null without tags
+   * (filtering marks the active one)
+   * @private
+   */
+  _createTags(tags) {
+    if (!tags || tags.length === 0) return null;
+
+    const chips = tags.map(tag => this._el('button', { type: 'button', class: 'tag-chip', 'data-tag': tag }, tag));
+    return this._el('div', { class: 'game-tags' }, chips);
   },
 
   /**
    * Renders opinions section
-   * @param {Array} opinions - Array of opinion strings
+   * @param {Array} opinions - Array of opinion strings or { text, stat } objects
    */
   renderOpinions(opinions) {
     const container = document.querySelector('#quick-opinions .body');
     if (!container) return;
 
-    container.innerHTML = '';
-
     if (!opinions || opinions.length === 0) {
-      const note = document.createElement('div');
-      note.className = 'no-draft';
-      note.textContent = 'Draft not ready yet';
-      container.appendChild(note);
+      this._renderNote('quick-opinions', container, this._el('div', { class: 'no-draft' }, 'Draft not ready yet'));
       return;
     }
 
-    const fragment = document.createDocumentFragment();
-    const searchTerm = State.getSearchTerm();
-
-    for (const opinion of opinions) {
-      const opinionEl = document.createElement('div');
-      opinionEl.className = 'opinion';
-      opinionEl.textContent = opinion;
-      
-      if (searchTerm && !opinion.toLowerCase().includes(searchTerm)) {
-        opinionEl.style.display = 'none';
-      }
-      
-      fragment.appendChild(opinionEl);
+    const rows = this._keyRows('quick-opinions', opinions, (opinion, index) => `#${index}`, opinion => {
+      const el = this._createOpinionElement(opinion);
+      const text = el.querySelector('.opinion-text');
+      return { el, doc: Search.opinionDoc(opinion), marks: [{ el: text, text: text.textContent }] };
+    });
+
+    this._mountSection('quick-opinions', container, rows, [...rows.values()].map(row => row.el));
+  },
+
+  /**
+   * One opinion; generated ones cite their stat, shown on tap
+   * @private
+   */
+  _createOpinionElement(opinion) {
+    const opinionEl = this._el('div', { class: 'opinion' },
+      this._el('span', { class: 'opinion-text' }, this._getOpinionText(opinion)));
+
+    if (opinion && opinion.stat) {
+      const stat = opinion.stat;
+      const statEl = this._el('div', { class: 'opinion-stat' },
+        `${stat.label}: ${stat.value}${stat.detail ? ` · ${stat.detail}` : ''}`);
+      statEl.hidden = true;
+
+      opinionEl.classList.add('has-stat');
+      opinionEl.tabIndex = 0;
+      opinionEl.setAttribute('role', 'button');
+      opinionEl.setAttribute('aria-expanded', 'false');
+      opinionEl.appendChild(statEl);
     }
 
-    container.appendChild(fragment);
+    return opinionEl;
+  },
+
+  /**
+   * Opinion text from a plain string or a generated { text, stat } object
+   * @private
+   */
+  _getOpinionText(opinion) {
+    return typeof opinion === 'string' ? opinion : (opinion?.text || '');
+  },
+
+  /**
+   * Show or hide the stat behind an opinion
+   * @param {Element} opinionEl - .opinion element
+   */
+  toggleOpinionStat(opinionEl) {
+    const statEl = opinionEl.querySelector('.opinion-stat');
+    if (!statEl) return;
+
+    statEl.hidden = !statEl.hidden;
+    opinionEl.setAttribute('aria-expanded', String(!statEl.hidden));
   },
 
   /**
@@ -139,32 +272,251 @@ const Render = {
     const container = document.querySelector('#whats-next .body');
     if (!container) return;
 
-    container.innerHTML = '';
-
     if (!nextItems || nextItems.length === 0) {
-      const note = document.createElement('div');
-      note.className = 'no-draft';
-      note.textContent = 'Draft not ready yet';
-      container.appendChild(note);
+      this._renderNote('whats-next', container, this._el('div', { class: 'no-draft' }, 'Draft not ready yet'));
       return;
     }
 
-    const fragment = document.createDocumentFragment();
-    const searchTerm = State.getSearchTerm();
-
-    for (const item of nextItems) {
-      const nextEl = document.createElement('div');
-      nextEl.className = 'next-match';
-      nextEl.innerHTML = `<strong>${item.when}:</strong> ${item.match} — ${item.hook || ''}`;
-      
-      if (searchTerm && !nextEl.textContent.toLowerCase().includes(searchTerm)) {
-        nextEl.style.display = 'none';
+    const rows = this._keyRows('whats-next', nextItems, (item, index) => item.ids?.game_id || `#${index}`, item => {
+      const el = this._createNextElement(item);
+      const when = `${item.when || ''} ${this._dayOf(item).label}`;
+      return {
+        el,
+        doc: {
+          text: `${when} ${el.textContent}`.toLowerCase(),
+          team: this._getNextTeams(item).join(' ').toLowerCase(),
+          when: when.toLowerCase()
+        }
+      };
+    });
+
+    // Day headings are cheap; rebuild them around the kept rows
+    const days = this._groupByDay([...rows.values()]).map(group => ({
+      rows: group.rows,
+      el: this._el('div', { class: 'next-day' },
+        this._el('div', { class: 'next-day-label' }, group.label),
+        group.rows.map(row => row.el))
+    }));
+
+    this._mountSection('whats-next', container, rows, days.map(day => day.el), days);
+    this._markFavoriteGames();
+  },
+
+  /**
+   * Renders the conference (NFL: division) race after "What's Next"
+   * Hidden for drafts without one: the postseason and drafts written before it
+   * @param {Array} race - [{ group, leaders, record, eliminated }]
+   * @param {string} scope - 'cfb' or 'nfl'
+   */
+  renderRace(race, scope) {
+    const section = document.getElementById('race');
+    const container = section?.querySelector('.body');
+    if (!container) return;
+
+    section.hidden = !race || race.length === 0;
+    section.querySelector('h2').textContent = scope === 'nfl' ? 'Division Race' : 'Conference Race';
+    container.replaceChildren(...(race || []).map(group => this._createRaceElement(group)));
+  },
+
+  /**
+   * One group: its leader(s) with their record, and who was eliminated this week
+   * @private
+   */
+  _createRaceElement({ group, leaders, record, eliminated = [] }) {
+    return this._el('div', { class: 'race-group' },
+      this._el('span', { class: 'race-name' }, group),
+      this._el('span', { class: 'race-leaders' },
+        leaders.length > 1 ? 'Tied: ' : '', `${leaders.join(', ')} (${record})`),
+      eliminated.length > 0 && this._el('div', { class: 'race-out' }, `Eliminated this week: ${eliminated.join(', ')}`)
+    );
+  },
+
+  /**
+   * One "What's Next" row
+   * @private
+   */
+  _createNextElement(item) {
+    const time = this._formatKickoffTime(item.kickoff);
+    return this._el('div', { class: 'next-match' },
+      time && this._el('strong', {}, `${time}:`), time && ' ',
+      `${item.match} — ${item.hook || ''}`
+    );
+  },
+
+  /**
+   * Star "What's Next" games involving a followed team
+   * @private
+   */
+  _markFavoriteGames() {
+    for (const row of this._sections['whats-next']?.rows.values() || []) {
+      row.el.classList.toggle('favorite', this._getNextTeams(row.item).some(team => State.isFavorite(team)));
+    }
+  },
+
+  /**
+   * Team names in a "What's Next" row
+   * Rows from before `teams` was written (or hand-written ones) split `match`
+   * @private
+   */
+  _getNextTeams(item) {
+    if (Array.isArray(item.teams)) return item.teams;
+
+    const match = (item.match || '').match(/^(.+?) (?:at|vs\.?) (.+)$/);
+    return match ? [match[1], match[2]] : [];
+  },
+
+  /**
+   * Local kickoff day of a "What's Next" item: { key, label }
+   * Items without a kickoff go by their `when` label
+   * @private
+   */
+  _dayOf(item) {
+    const kickoff = item.kickoff ? new Date(item.kickoff) : null;
+    if (!kickoff || isNaN(kickoff)) {
+      return { key: item.when || '', label: item.when || '' };
+    }
+    return {
+      key: kickoff.toDateString(),
+      label: kickoff.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })
+    };
+  },
+
+  /**
+   * Group "What's Next" rows by local kickoff day, in order
+   * @param {Array} rows - Keyed rows ({ item, el })
+   * @returns {Array} [{ label, rows }]
+   * @private
+   */
+  _groupByDay(rows) {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const day = this._dayOf(row.item);
+      if (!groups.has(day.key)) {
+        groups.set(day.key, { label: day.label, rows: [] });
       }
-      
-      fragment.appendChild(nextEl);
+      groups.get(day.key).rows.push(row);
     }
 
-    container.appendChild(fragment);
+    return [...groups.values()];
+  },
+
+  /**
+   * Local kickoff time ("7:30 PM"), or '' without a kickoff
+   * @private
+   */
+  _formatKickoffTime(kickoff) {
+    if (!kickoff) return '';
+    const date = new Date(kickoff);
+    if (isNaN(date)) return '';
+    return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  },
+
+  /**
+   * Renders "Your Teams": each followed team's result this week, top 5 or not
+   * @param {Array} results - all_games rows ({ game_id, home, away, home_points,
+   *   away_points, neutral }); drafts without them fall back to the top games
+   * @param {Array} topGames - top_games, to link results shown there
+   */
+  renderYourTeams(results, topGames) {
+    const container = document.querySelector('#your-teams .body');
+    if (!container) return;
+
+    const favorites = State.getFavorites();
+    const found = results || this._resultsFromTopGames(topGames);
+    const picker = this._createFollowPicker(found || [], favorites);
+
+    if (favorites.length === 0 || !found) {
+      const note = favorites.length === 0
+        ? this._el('div', { class: 'your-teams-hint' }, 'Star a team (☆) to see its result here every week, top 5 or not.')
+        : this._el('div', { class: 'no-draft' }, 'Draft not ready yet');
+      this._renderNote('your-teams', container, note, picker);
+      return;
+    }
+
+    const topIds = new Set((topGames || []).map(game => String(game.ids?.game_id || '')).filter(Boolean));
+    const teams = favorites.map(name => {
+      const result = found.find(row => row.home === name || row.away === name) || null;
+      return { name, result, top: Boolean(result && topIds.has(String(result.game_id))) };
+    });
+
+    const rows = this._keyRows('your-teams', teams, team => team.name, team => {
+      const el = this._createYourTeamElement(team);
+      return { el, doc: { text: el.textContent.toLowerCase(), team: team.name.toLowerCase() } };
+    });
+
+    this._mountSection('your-teams', container, rows, [...[...rows.values()].map(row => row.el), picker]);
+  },
+
+  /**
+   * One "Your Teams" row: star, team, result from its side, link to its top-5 card
+   * @private
+   */
+  _createYourTeamElement({ name, result, top }) {
+    return this._el('div', { class: `your-team${result ? '' : ' no-game'}` },
+      this._createStar(name),
+      this._el('span', { class: 'your-team-name' }, name),
+      this._el('span', { class: 'your-team-result' }, result ? this._describeResult(name, result) : 'No game this week'),
+      top && this._el('a', { class: 'your-team-link', href: `#${State.gameAnchor(result.game_id)}` }, 'Top 5')
+    );
+  },
+
+  /**
+   * "W 27–24 vs Notre Dame" from the named team's side
+   * @private
+   */
+  _describeResult(name, result) {
+    const isHome = result.home === name;
+    const points = isHome ? result.home_points : result.away_points;
+    const opponentPoints = isHome ? result.away_points : result.home_points;
+    const outcome = points > opponentPoints ? 'W' : points < opponentPoints ? 'L' : 'T';
+    const where = isHome || result.neutral ? 'vs' : 'at';
+
+    return `${outcome} ${points}–${opponentPoints} ${where} ${isHome ? result.away : result.home}`;
+  },
+
+  /**
+   * Result rows from top_games, for drafts written before all_games
+   * @private
+   */
+  _resultsFromTopGames(topGames) {
+    if (!topGames || topGames.length === 0) return null;
+
+    return topGames.map(game => {
+      const [home, away] = String(game.final || '').split(/[–-]/).map(Number);
+      return {
+        game_id: String(game.ids?.game_id || ''),
+        home: game.home?.name,
+        away: game.away?.name,
+        home_points: home,
+        away_points: away
+      };
+    });
+  },
+
+  /**
+   * "Follow a team" picker: this week's teams and the registry, minus followed ones
+   * @private
+   */
+  _createFollowPicker(rows, favorites) {
+    const names = new Set([...rows.flatMap(row => [row.home, row.away]), ...State.getTeamNames()]);
+    const select = document.createElement('select');
+    select.className = 'your-teams-add';
+    select.setAttribute('aria-label', 'Follow a team');
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Follow a team…';
+    select.appendChild(placeholder);
+
+    for (const name of [...names].filter(name => name && !favorites.includes(name)).sort((a, b) => a.localeCompare(b))) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+
+    return select;
   },
 
   /**
@@ -174,9 +526,9 @@ const Render = {
   renderMeta(meta) {
     if (!meta) return;
 
-    // Update document title
-    const week = meta.week || '';
-    document.title = `Five-Minute Football${week ? ` — Week ${week}` : ''}`;
+    // Update document title ("Week 3", or the postseason round)
+    const label = meta.label || (meta.week ? `Week ${meta.week}` : '');
+    document.title = `Five-Minute Football${label ? ` — ${label}` : ''}`;
 
     // Update updated text
     const updatedEl = document.querySelector('#updated');
@@ -187,16 +539,498 @@ const Render = {
   },
 
   /**
-   * Apply search filter to all sections
+   * Renders the archive: one row per week played, newest first
+   * @param {Array} weeks - Calendar weeks with `value` and `draft` (index entry,
+   *   null when missing, undefined without an index)
+   */
+  renderArchive(weeks) {
+    const container = document.querySelector('#archive .body');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (!weeks || weeks.length === 0) {
+      const note = document.createElement('div');
+      note.className = 'no-draft';
+      note.textContent = 'No weeks played yet';
+      container.appendChild(note);
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+
+    for (const week of weeks) {
+      const missing = week.draft === null;
+      const rowEl = document.createElement(missing ? 'div' : 'button');
+      rowEl.className = `archive-week${missing ? ' missing' : ''}`;
+
+      const labelEl = document.createElement('span');
+      labelEl.className = 'archive-label';
+      labelEl.textContent = week.label;
+      rowEl.appendChild(labelEl);
+
+      const detailEl = document.createElement('span');
+      detailEl.className = 'archive-detail';
+      if (missing) {
+        detailEl.textContent = 'Missing';
+      } else if (week.draft?.headline) {
+        const headline = week.draft.headline;
+        detailEl.textContent = `${headline.match}${headline.final ? ` · ${headline.final}` : ''}`;
+      }
+      rowEl.appendChild(detailEl);
+
+      if (!missing) {
+        rowEl.type = 'button';
+        rowEl.dataset.week = week.value;
+      }
+
+      fragment.appendChild(rowEl);
+    }
+
+    container.appendChild(fragment);
+  },
+
+  /**
+   * Renders "Other Weeks": the search run over the season's other drafts
+   * @param {Object|null} view - null to hide the section, otherwise
+   *   { season, weeks, loading, results }; results ([{ entry, games, opinions }])
+   *   once the drafts are loaded
+   */
+  renderOtherWeeks(view) {
+    const section = document.getElementById('other-weeks');
+    const container = section?.querySelector('.body');
+    if (!container) return;
+
+    const countEl = section.querySelector('.match-count');
+    section.hidden = !view;
+    countEl.hidden = !view?.results;
+
+    if (!view) {
+      container.replaceChildren();
+      return;
+    }
+
+    if (!view.results) {
+      const weeks = view.weeks === 1 ? 'the other week' : `all ${view.weeks} other weeks`;
+      const label = view.loading ? 'Searching…' : `Search ${weeks} of ${view.season}`;
+      container.replaceChildren(this._el('button', { type: 'button', class: 'search-weeks', disabled: view.loading }, label));
+      return;
+    }
+
+    const terms = Search.parse(State.getSearchTerm());
+    const matches = view.results.reduce((sum, week) => sum + week.games.length + week.opinions.length, 0);
+    countEl.textContent = `${matches} in ${view.results.length} of ${view.weeks} weeks`;
+
+    if (view.results.length === 0) {
+      container.replaceChildren(this._el('div', { class: 'no-results' }, `No other week matches “${State.getSearchTerm().trim()}”`));
+      return;
+    }
+
+    container.replaceChildren(...view.results.map(({ entry, games, opinions }) =>
+      this._el('div', { class: 'week-results' },
+        this._el('a', { class: 'week-results-label', href: State.draftLink(entry) }, entry.label),
+        games.map(game => this._el('a', { class: 'week-result', href: State.draftLink(entry, game.ids?.game_id) },
+          this._highlighted(`${game.away?.name} at ${game.home?.name} ${game.final}`, terms))),
+        opinions.map(opinion => this._el('a', { class: 'week-result opinion-result', href: State.draftLink(entry) },
+          this._highlighted(this._getOpinionText(opinion), terms)))
+      )
+    ));
+  },
+
+  /**
+   * Text with its matches wrapped in <mark>
+   * @private
+   */
+  _highlighted(text, terms) {
+    return Search.segments(text, terms).map(run => run.match ? this._el('mark', {}, run.text) : run.text);
+  },
+
+  /**
+   * Renders the game detail view, hiding the week's sections while it's open
+   * @param {Object|null} view - null closes the view, otherwise { game, detail,
+   *   status }: the draft's top game (null if the draft doesn't have it), its
+   *   detail file once loaded, and status 'loading', 'failed' or ''. Until the
+   *   detail file loads, the draft's box score stands in.
+   */
+  renderGameDetail(view) {
+    const section = document.getElementById('game-detail');
+    const container = section?.querySelector('.body');
+    if (!container) return;
+
+    section.hidden = !view;
+    document.body.classList.toggle('showing-game', Boolean(view));
+
+    if (!view) {
+      container.replaceChildren();
+      return;
+    }
+
+    const meta = State.getData()?.meta || {};
+    const back = this._el('button', { type: 'button', class: 'detail-back' }, `‹ ${meta.label || 'Back to the week'}`);
+
+    if (!view.game) {
+      container.replaceChildren(back, this._el('div', { class: 'no-draft' }, "This game isn't in this week's draft"));
+      return;
+    }
+
+    const { game, detail, status } = view;
+    const home = this._resolveTeam(game.home);
+    const away = this._resolveTeam(game.away);
+    const lineScores = detail?.line_scores || game.box?.line_scores;
+    const teamStats = detail?.team_stats || game.box?.stats;
+    const [homePoints, awayPoints] = String(game.final).split(/[–-]/);
+
+    const notes = [
+      detail?.kickoff && new Date(detail.kickoff).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+      detail?.neutral && 'Neutral site',
+      detail?.notes
+    ].filter(Boolean).join(' · ');
+
+    let note = null;
+    if (status === 'loading') {
+      note = this._el('div', { class: 'no-draft' }, 'Loading box score…');
+    } else if (status === 'failed') {
+      note = this._el('div', { class: 'no-draft' }, "Couldn't load the full box score");
+    } else if (!lineScores && !teamStats && !detail?.scoring_plays?.length) {
+      note = this._el('div', { class: 'no-draft' }, 'No box score for this game');
+    }
+
+    // Keep focus on the heading when the detail file's arrival redraws it
+    const focused = document.activeElement?.classList.contains('detail-title');
+
+    container.replaceChildren(...[
+      back,
+      this._el('h2', { class: 'detail-title', tabindex: '-1' }, `${away.name} ${detail?.neutral ? 'vs.' : 'at'} ${home.name}`),
+      this._el('div', { class: 'detail-teams' },
+        this._createDetailTeam(away, detail?.ranks?.away, detail?.records?.away, awayPoints),
+        this._createDetailTeam(home, detail?.ranks?.home, detail?.records?.home, homePoints)
+      ),
+      notes && this._el('div', { class: 'section-meta' }, notes),
+      this._el('p', { class: 'game-recap' }, game.recap_2s),
+      note,
+      lineScores && this._createLineScore(lineScores, away, home),
+      teamStats && this._createStatTable(teamStats, away, home),
+      detail?.scoring_plays?.length > 0 && this._createScoringSummary(detail.scoring_plays, away, home)
+    ].filter(Boolean));
+
+    if (focused) container.querySelector('.detail-title').focus();
+  },
+
+  /**
+   * Scoreboard row: logo, rank, name, record and points
+   * @private
+   */
+  _createDetailTeam(team, rank, record, points) {
+    const recordText = record
+      ? [record.wins, record.losses, record.ties].filter((n, i) => i < 2 || n > 0).join('–')
+      : null;
+
+    return this._el('div', { class: 'detail-team' },
+      this._createLogo(team),
+      rank && this._el('span', { class: 'detail-rank' }, `No. ${rank}`),
+      this._el('span', { class: 'detail-name' }, team.name),
+      recordText && this._el('span', { class: 'detail-record' }, `(${recordText})`),
+      this._el('span', { class: 'detail-points' }, points ?? '')
+    );
+  },
+
+  /**
+   * Quarter-by-quarter line score
+   * @private
+   */
+  _createLineScore(lineScores, away, home) {
+    const periods = Math.max(lineScores.home.length, lineScores.away.length);
+    const labels = Array.from({ length: periods }, (_, i) => this._periodLabel(i + 1));
+    const row = (team, scores) => this._el('tr', {},
+      this._el('th', { scope: 'row' }, team.abbr || team.name),
+      labels.map((_, i) => this._el('td', {}, scores[i] ?? '')),
+      this._el('td', { class: 'detail-total' }, scores.reduce((sum, n) => sum + n, 0))
+    );
+
+    return this._el('div', { class: 'detail-block' },
+      this._el('h3', {}, 'Line score'),
+      this._el('table', { class: 'detail-table' },
+        this._el('thead', {}, this._el('tr', {},
+          this._el('th', {}, ''), labels.map(label => this._el('th', { scope: 'col' }, label)), this._el('th', { scope: 'col' }, 'T'))),
+        this._el('tbody', {}, row(away, lineScores.away), row(home, lineScores.home))
+      )
+    );
+  },
+
+  /**
+   * Team stat comparison
+   * @private
+   */
+  _createStatTable(stats, away, home) {
+    const keys = [...new Set([...Object.keys(stats.away || {}), ...Object.keys(stats.home || {})])];
+    const order = Object.keys(this.STAT_LABELS);
+    keys.sort((a, b) => (order.indexOf(a) + 1 || order.length + 1) - (order.indexOf(b) + 1 || order.length + 1));
+
+    return this._el('div', { class: 'detail-block' },
+      this._el('h3', {}, 'Team stats'),
+      this._el('table', { class: 'detail-table detail-stats' },
+        this._el('thead', {}, this._el('tr', {},
+          this._el('th', {}, ''),
+          this._el('th', { scope: 'col' }, away.abbr || away.name),
+          this._el('th', { scope: 'col' }, home.abbr || home.name))),
+        this._el('tbody', {}, keys.map(key => this._el('tr', {},
+          this._el('th', { scope: 'row' }, this.STAT_LABELS[key] || key.replace(/_/g, ' ')),
+          this._el('td', {}, stats.away?.[key] ?? '–'),
+          this._el('td', {}, stats.home?.[key] ?? '–')
+        )))
+      )
+    );
+  },
+
+  /**
+   * Scoring plays by period, each with the score after it
+   * @private
+   */
+  _createScoringSummary(plays, away, home) {
+    const periods = new Map();
+    for (const play of plays) {
+      if (!periods.has(play.period)) periods.set(play.period, []);
+      periods.get(play.period).push(play);
+    }
+
+    const score = play => {
+      if (play.home_score === play.away_score) return `Tied ${play.home_score}–${play.away_score}`;
+      const [leader, high, low] = play.home_score > play.away_score
+        ? [home, play.home_score, play.away_score]
+        : [away, play.away_score, play.home_score];
+      return `${leader.abbr || leader.name} ${high}–${low}`;
+    };
+
+    return this._el('div', { class: 'detail-block' },
+      this._el('h3', {}, 'Scoring summary'),
+      [...periods].map(([period, periodPlays]) => this._el('div', { class: 'detail-period' },
+        this._el('div', { class: 'next-day-label' }, this._periodName(period)),
+        periodPlays.map(play => {
+          const team = play.team === 'home' ? home : away;
+          return this._el('div', { class: 'scoring-play' },
+            this._el('span', { class: 'scoring-clock' }, play.clock || ''),
+            this._el('span', { class: 'scoring-text' },
+              this._el('strong', {}, team.abbr || team.name), ' ',
+              [play.type, play.text].filter(Boolean).join(' — ')),
+            this._el('span', { class: 'scoring-score' }, score(play))
+          );
+        })
+      ))
+    );
+  },
+
+  /**
+   * Column label for a period: 1–4, then OT, 2OT, ...
+   * @private
+   */
+  _periodLabel(period) {
+    if (period <= 4) return String(period);
+    return period === 5 ? 'OT' : `${period - 4}OT`;
+  },
+
+  /**
+   * Heading for a period: "2nd quarter", "Overtime", "2nd overtime"
+   * @private
+   */
+  _periodName(period) {
+    const ordinal = n => `${n}${['th', 'st', 'nd', 'rd'][n % 100 > 10 && n % 100 < 14 ? 0 : n % 10] || 'th'}`;
+    if (period <= 4) return `${ordinal(period)} quarter`;
+    return period === 5 ? 'Overtime' : `${ordinal(period - 4)} overtime`;
+  },
+
+  /**
+   * Renders the error state for a draft that fails schema validation
+   * @param {Array} errors - [{ path, message }] from DraftSchema.validate
+   */
+  renderInvalid(errors) {
+    this.renderOpinions([]);
+    this.renderWhatsNext([]);
+    this.renderRace(null);
+    this.renderYourTeams(null, null);
+
+    const container = document.querySelector('#top-games .games');
+    if (container) {
+      this._renderNote('top-games', container);
+
+      const note = document.createElement('div');
+      note.className = 'draft-error';
+      note.setAttribute('role', 'alert');
+
+      const title = document.createElement('strong');
+      title.textContent = "This draft couldn't be shown";
+      note.appendChild(title);
+
+      const detail = document.createElement('p');
+      detail.textContent = "The file doesn't match the draft format:";
+      note.appendChild(detail);
+
+      const list = document.createElement('ul');
+      for (const error of errors.slice(0, 5)) {
+        const item = document.createElement('li');
+        item.textContent = `${error.path} ${error.message}`;
+        list.appendChild(item);
+      }
+      if (errors.length > 5) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${errors.length - 5} more`;
+        list.appendChild(more);
+      }
+      note.appendChild(list);
+
+      container.appendChild(note);
+    }
+
+    const updatedEl = document.querySelector('#updated');
+    if (updatedEl) {
+      updatedEl.textContent = 'Invalid draft';
+    }
+  },
+
+  /**
+   * Rows for a section, reusing the previous node for any key whose data
+   * is unchanged. Data is compared by content, since the editor edits the
+   * draft in place.
+   * @param {string} sectionId
+   * @param {Array} items
+   * @param {Function} keyOf - (item, index) => key
+   * @param {Function} build - item => { el, doc, marks }: doc for Search.matches,
+   *   marks the [{ el, text }] to highlight matches in
+   * @param {string} context - Anything else the rows depend on
+   * @returns {Map} key -> { sig, item, el, doc, marks }
+   * @private
+   */
+  _keyRows(sectionId, items, keyOf, build, context = '') {
+    const previous = this._sections[sectionId]?.rows || new Map();
+    const rows = new Map();
+
+    items.forEach((item, index) => {
+      let key = String(keyOf(item, index));
+      if (rows.has(key)) key = `${key}#${index}`;
+
+      const sig = `${context}|${JSON.stringify(item)}`;
+      const old = previous.get(key);
+      rows.set(key, old && old.sig === sig ? { ...old, item } : { sig, item, ...build(item) });
+    });
+
+    return rows;
+  },
+
+  /**
+   * Put a section's nodes in place and filter them
+   * @param {Array} nodes - Top-level nodes, in order
+   * @param {Array} days - What's Next day groups ({ el, rows }), hidden when empty
+   * @private
+   */
+  _mountSection(sectionId, container, rows, nodes, days = []) {
+    const noResults = this._el('div', { class: 'no-results', role: 'status' });
+    noResults.hidden = true;
+
+    container.replaceChildren(...nodes, noResults);
+    this._sections[sectionId] = { rows, days, noResults };
+    this._filterSection(sectionId);
+  },
+
+  /**
+   * Show a note instead of a section's rows
+   * @private
+   */
+  _renderNote(sectionId, container, ...nodes) {
+    container.replaceChildren(...nodes);
+    delete this._sections[sectionId];
+    this._filterSection(sectionId);
+  },
+
+  /**
+   * Show the rows of a section that match the search and tag filter,
+   * with matches highlighted and a match count in its heading
+   * @private
+   */
+  _filterSection(sectionId) {
+    const term = State.getSearchTerm();
+    const terms = Search.parse(term);
+    const tag = sectionId === 'top-games' ? State.getTagFilter() : null;
+    const section = this._sections[sectionId];
+    const countEl = document.querySelector(`#${sectionId} .match-count`);
+    let shown = 0;
+
+    for (const row of section?.rows.values() || []) {
+      const match = Search.matches(row.doc, terms) && (!tag || (row.item.tags || []).includes(tag));
+      row.el.style.display = match ? '' : 'none';
+      if (match) shown++;
+      this._highlight(row, match ? terms : []);
+    }
+
+    for (const day of section?.days || []) {
+      day.el.style.display = day.rows.some(row => row.el.style.display !== 'none') ? '' : 'none';
+    }
+
+    if (sectionId === 'top-games') {
+      for (const chip of document.querySelectorAll('#top-games .tag-chip')) {
+        const active = chip.dataset.tag === tag;
+        chip.classList.toggle('active', active);
+        chip.setAttribute('aria-pressed', String(active));
+      }
+    }
+
+    const total = section?.rows.size || 0;
+    const filtering = Boolean((terms.length > 0 || tag) && total);
+
+    if (section) {
+      section.noResults.hidden = !filtering || shown > 0;
+      section.noResults.textContent = filtering && shown === 0
+        ? this._describeNoResults(this.SECTIONS[sectionId], term.trim(), tag)
+        : '';
+    }
+
+    if (countEl) {
+      countEl.hidden = !filtering;
+      countEl.textContent = filtering ? `${shown} of ${total}` : '';
+    }
+  },
+
+  /**
+   * Mark a row's matches, or put its plain text back
+   * @private
+   */
+  _highlight(row, terms) {
+    const key = JSON.stringify(terms.filter(t => !t.field));
+    if (!row.marks || row.marked === key) return;
+
+    for (const mark of row.marks) {
+      mark.el.replaceChildren(...this._highlighted(mark.text, terms));
+    }
+    row.marked = key;
+  },
+
+  /**
+   * "No games tagged upset match “texas”"
+   * @private
+   */
+  _describeNoResults(noun, term, tag) {
+    const tagged = tag ? ` tagged ${tag}` : '';
+    return term ? `No ${noun}${tagged} match “${term}”` : `No ${noun}${tagged}`;
+  },
+
+  /**
+   * Apply search and tag filters to all sections, without rebuilding them
    */
   applySearchFilter() {
-    const data = State.getData();
-    if (!data) return;
+    for (const sectionId of Object.keys(this.SECTIONS)) {
+      this._filterSection(sectionId);
+    }
+  },
 
-    // Re-render all sections with filter applied
-    this.renderTopGames(data.top_games);
-    this.renderOpinions(data.quick_opinions);
-    this.renderWhatsNext(data.whats_next);
+  /**
+   * Show a follow or unfollow everywhere: stars, What's Next, Your Teams
+   */
+  refreshFavorites() {
+    for (const star of document.querySelectorAll('.fav-toggle[data-team]')) {
+      this._setStar(star);
+    }
+    this._markFavoriteGames();
+
+    const data = State.getData();
+    this.renderYourTeams(data?.all_games, data?.top_games);
   }
 };
 
@@ -0,0 +1,415 @@
+/**
+ * Draft file contract (JSON Schema) and a small validator
+ * Shared by the app, the generator and `npm run validate`
+ */
+
+const DraftSchema = {
+  /**
+   * JSON Schema (draft-07) for data/{scope}/week_NN.json and post_NN.json
+   */
+  schema: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Five-Minute Football weekly draft',
+    type: 'object',
+    required: ['meta', 'top_games', 'quick_opinions', 'whats_next'],
+    properties: {
+      meta: {
+        type: 'object',
+        required: ['season', 'week', 'scope', 'generated_at'],
+        properties: {
+          season: { type: 'integer', minimum: 1869 },
+          week: { type: 'integer', minimum: 0 },
+          season_type: { enum: ['regular', 'postseason'] },
+          label: { type: 'string' },
+          scope: { enum: ['cfb', 'nfl'] },
+          generated_at: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T' },
+          sources: { type: 'array', items: { type: 'string' } },
+          ranking: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['game_id', 'score', 'parts'],
+              properties: {
+                game_id: { type: 'string' },
+                match: { type: 'string' },
+                score: { type: 'number' },
+                parts: { type: 'object' },
+                selected: { type: 'boolean' },
+                override: { enum: ['pinned', 'excluded'] }
+              }
+            }
+          }
+        }
+      },
+      top_games: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['home', 'away', 'final', 'recap_2s'],
+          properties: {
+            home: { $ref: '#/definitions/team' },
+            away: { $ref: '#/definitions/team' },
+            final: { type: 'string', pattern: '^\\d+[–-]\\d+$' },
+            recap_2s: { type: 'string', minLength: 1 },
+            one_stat: { type: 'string' },
+            why_it_mattered: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+            ids: { $ref: '#/definitions/ids' },
+            box: { $ref: '#/definitions/box' },
+            // Site path of the game's detail file (see detailSchema)
+            detail: { type: 'string', pattern: '^/data/[\\w/.-]+\\.json$' }
+          }
+        }
+      },
+      quick_opinions: {
+        type: 'array',
+        items: { $ref: '#/definitions/opinion' }
+      },
+      whats_next: {
+        type: 'array',
+        items: { $ref: '#/definitions/next' }
+      },
+      all_games: {
+        type: 'array',
+        items: { $ref: '#/definitions/result' }
+      },
+      race: {
+        type: 'array',
+        items: { $ref: '#/definitions/race' }
+      }
+    },
+    definitions: {
+      opinion: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          {
+            type: 'object',
+            required: ['text'],
+            properties: {
+              text: { type: 'string', minLength: 1 },
+              stat: {
+                type: 'object',
+                required: ['label', 'value'],
+                properties: {
+                  label: { type: 'string' },
+                  value: { type: 'string' },
+                  detail: { type: 'string' }
+                }
+              }
+            }
+          }
+        ]
+      },
+      next: {
+        type: 'object',
+        required: ['when', 'match'],
+        properties: {
+          when: { type: 'string', minLength: 1 },
+          kickoff: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T' },
+          match: { type: 'string', minLength: 1 },
+          // [away, home] team names, as in the registry
+          teams: { type: 'array', items: { type: 'string', minLength: 1 } },
+          hook: { type: 'string' },
+          ids: { $ref: '#/definitions/ids' }
+        }
+      },
+      // One conference's (or division's) leaders and who fell out of the race this week
+      race: {
+        type: 'object',
+        required: ['group', 'leaders', 'record'],
+        properties: {
+          group: { type: 'string', minLength: 1 },
+          leaders: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+          record: { type: 'string', pattern: '^\\d+-\\d+(-\\d+)?$' },
+          eliminated: { type: 'array', items: { type: 'string', minLength: 1 } }
+        }
+      },
+      // Compact result for every completed game of the week
+      result: {
+        type: 'object',
+        required: ['home', 'away', 'home_points', 'away_points'],
+        properties: {
+          game_id: { type: 'string' },
+          home: { type: 'string', minLength: 1 },
+          away: { type: 'string', minLength: 1 },
+          home_points: { type: 'integer', minimum: 0 },
+          away_points: { type: 'integer', minimum: 0 },
+          neutral: { type: 'boolean' }
+        }
+      },
+      team: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          abbr: { type: 'string' },
+          logo: { type: 'string' },
+          color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+        }
+      },
+      // Game data the text is fact-checked against (every field optional)
+      box: {
+        type: 'object',
+        properties: {
+          periods: { type: 'integer', minimum: 1 },
+          spread: { type: 'number' },
+          line_scores: { $ref: '#/definitions/by_quarter' },
+          quarter_yards: { $ref: '#/definitions/by_quarter' },
+          stats: {
+            type: 'object',
+            required: ['home', 'away'],
+            properties: {
+              home: { type: 'object', additionalProperties: { type: 'number' } },
+              away: { type: 'object', additionalProperties: { type: 'number' } }
+            }
+          },
+          largest_deficit: {
+            type: 'object',
+            required: ['home', 'away'],
+            properties: {
+              home: { type: 'integer', minimum: 0 },
+              away: { type: 'integer', minimum: 0 }
+            }
+          },
+          lead_changes: { type: 'integer', minimum: 0 }
+        }
+      },
+      record: {
+        type: 'object',
+        required: ['wins', 'losses'],
+        properties: {
+          wins: { type: 'integer', minimum: 0 },
+          losses: { type: 'integer', minimum: 0 },
+          ties: { type: 'integer', minimum: 0 }
+        }
+      },
+      scoring_play: {
+        type: 'object',
+        required: ['period', 'team', 'home_score', 'away_score'],
+        properties: {
+          period: { type: 'integer', minimum: 1 },
+          clock: { type: 'string' },
+          team: { enum: ['home', 'away'] },
+          type: { type: 'string' },
+          text: { type: 'string' },
+          home_score: { type: 'integer', minimum: 0 },
+          away_score: { type: 'integer', minimum: 0 }
+        }
+      },
+      by_quarter: {
+        type: 'object',
+        required: ['home', 'away'],
+        properties: {
+          home: { type: 'array', items: { type: 'integer' } },
+          away: { type: 'array', items: { type: 'integer' } }
+        }
+      },
+      ids: {
+        type: 'object',
+        properties: {
+          home_id: { type: ['integer', 'string'] },
+          away_id: { type: ['integer', 'string'] },
+          game_id: { type: 'string' }
+        }
+      }
+    }
+  },
+
+  /**
+   * Editor overrides for one week (data/{scope}/{season}/week_NN.overrides.json)
+   * Games are keyed by ids.game_id; $refs point into the draft schema
+   */
+  overridesSchema: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Five-Minute Football draft overrides',
+    type: 'object',
+    properties: {
+      pin: { type: 'array', items: { type: 'string', minLength: 1 } },
+      exclude: { type: 'array', items: { type: 'string', minLength: 1 } },
+      order: { type: 'array', items: { type: 'string', minLength: 1 } },
+      games: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            recap_2s: { type: 'string', minLength: 1 },
+            one_stat: { type: 'string' },
+            why_it_mattered: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+          }
+        }
+      },
+      opinions: { type: 'array', items: { $ref: '#/definitions/opinion' } },
+      replace_opinions: { type: 'boolean' },
+      whats_next: { type: 'array', items: { $ref: '#/definitions/next' } }
+    }
+  },
+
+  /**
+   * Game detail file (data/{scope}/{season}/games/{game_id}.json), loaded
+   * when a reader opens a game; $refs point into the draft schema
+   */
+  detailSchema: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Five-Minute Football game detail',
+    type: 'object',
+    required: ['game_id', 'scope', 'season', 'week', 'home', 'away', 'final', 'scoring_plays'],
+    properties: {
+      game_id: { type: 'string', minLength: 1 },
+      scope: { enum: ['cfb', 'nfl'] },
+      season: { type: 'integer', minimum: 1869 },
+      season_type: { enum: ['regular', 'postseason'] },
+      week: { type: 'integer', minimum: 0 },
+      label: { type: 'string' },
+      kickoff: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T' },
+      neutral: { type: 'boolean' },
+      notes: { type: 'string' },
+      home: { $ref: '#/definitions/team' },
+      away: { $ref: '#/definitions/team' },
+      final: { type: 'string', pattern: '^\\d+[–-]\\d+$' },
+      periods: { type: 'integer', minimum: 1 },
+      ranks: {
+        type: 'object',
+        properties: {
+          home: { type: 'integer', minimum: 1 },
+          away: { type: 'integer', minimum: 1 }
+        }
+      },
+      records: {
+        type: 'object',
+        properties: {
+          home: { $ref: '#/definitions/record' },
+          away: { $ref: '#/definitions/record' }
+        }
+      },
+      line_scores: { $ref: '#/definitions/by_quarter' },
+      team_stats: {
+        type: 'object',
+        required: ['home', 'away'],
+        properties: {
+          home: { type: 'object', additionalProperties: { type: ['number', 'string'] } },
+          away: { type: 'object', additionalProperties: { type: ['number', 'string'] } }
+        }
+      },
+      scoring_plays: { type: 'array', items: { $ref: '#/definitions/scoring_play' } }
+    }
+  },
+
+  /**
+   * Validate a draft (or overrides or detail file) against a schema
+   * Supports the keywords the schemas use: type, required, properties,
+   * additionalProperties, items, enum, anyOf, minLength, minItems, minimum,
+   * pattern and local $ref
+   * @param {*} data - Parsed JSON
+   * @param {Object} [schema] - Defaults to the draft schema
+   * @returns {Array} [{ path, message }], empty when valid
+   */
+  validate(data, schema = this.schema) {
+    const errors = [];
+    this._check(data, schema, '', errors);
+    return errors;
+  },
+
+  /**
+   * Check one value against one schema node
+   * @private
+   */
+  _check(value, node, path, errors) {
+    if (node.$ref) {
+      node = this._resolve(node.$ref);
+    }
+
+    if (node.anyOf) {
+      const matches = node.anyOf.some(option => {
+        const optionErrors = [];
+        this._check(value, option, path, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (!matches) {
+        errors.push({ path: path || '/', message: 'does not match any allowed shape' });
+      }
+      return;
+    }
+
+    if (node.enum && !node.enum.includes(value)) {
+      errors.push({ path: path || '/', message: `must be one of ${node.enum.join(', ')}` });
+      return;
+    }
+
+    if (node.type) {
+      const types = Array.isArray(node.type) ? node.type : [node.type];
+      if (!types.some(type => this._isType(value, type))) {
+        errors.push({ path: path || '/', message: `must be ${types.join(' or ')}` });
+        return;
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (node.minLength !== undefined && value.length < node.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+      }
+      if (node.pattern && !new RegExp(node.pattern).test(value)) {
+        errors.push({ path, message: `must match ${node.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+      errors.push({ path, message: `must be at least ${node.minimum}` });
+    }
+
+    if (Array.isArray(value) && node.minItems !== undefined && value.length < node.minItems) {
+      errors.push({ path, message: `must have at least ${node.minItems} item${node.minItems === 1 ? '' : 's'}` });
+    }
+
+    if (Array.isArray(value) && node.items) {
+      value.forEach((item, i) => this._check(item, node.items, `${path}/${i}`, errors));
+    }
+
+    if (this._isType(value, 'object')) {
+      for (const key of node.required || []) {
+        if (value[key] === undefined) {
+          errors.push({ path: `${path}/${key}`, message: 'is required' });
+        }
+      }
+      for (const [key, child] of Object.entries(node.properties || {})) {
+        if (value[key] !== undefined) {
+          this._check(value[key], child, `${path}/${key}`, errors);
+        }
+      }
+      if (this._isType(node.additionalProperties, 'object')) {
+        for (const [key, child] of Object.entries(value)) {
+          if (!node.properties?.[key]) {
+            this._check(child, node.additionalProperties, `${path}/${key}`, errors);
+          }
+        }
+      }
+    }
+  },
+
+  /**
+   * Resolve a local "#/definitions/..." reference
+   * @private
+   */
+  _resolve(ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], this.schema);
+  },
+
+  /**
+   * JSON Schema type check
+   * @private
+   */
+  _isType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && !isNaN(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DraftSchema;
+}
@@ -0,0 +1,131 @@
+/**
+ * Search queries
+ * Turns what readers type into terms that must all match:
+ *
+ *   utah "fourth quarter" team:arizona tag:upset when:sat
+ *
+ * Shared by the app, the editor preview and the search across weeks.
+ */
+
+const Search = {
+  // Field prefixes; a row without the field never matches a term that uses it
+  FIELDS: ['team', 'tag', 'when'],
+
+  /**
+   * Parse a query into terms
+   * Words and "quoted phrases" match a row's text, field:value (or
+   * field:"two words") only that field. Unknown prefixes are plain words.
+   * @param {string} query
+   * @returns {Array} [{ field, value }], field null for text terms
+   */
+  parse(query) {
+    const terms = [];
+
+    for (const [, prefix, phrase, word] of (query || '').toLowerCase().matchAll(/(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g)) {
+      const value = (phrase ?? word).trim();
+
+      // "team:" while it's still being typed
+      const bare = !prefix && value.match(/^(\w+):$/);
+      if (!value || (bare && this.FIELDS.includes(bare[1]))) continue;
+
+      if (prefix && this.FIELDS.includes(prefix)) {
+        terms.push({ field: prefix, value });
+      } else {
+        terms.push({ field: null, value: prefix ? `${prefix}:${value}` : value });
+      }
+    }
+
+    return terms;
+  },
+
+  /**
+   * Whether a row matches every term
+   * @param {Object} doc - Lowercase { text, team, tag, when }; fields the row doesn't have are left out
+   * @param {Array} terms - From parse
+   */
+  matches(doc, terms) {
+    return terms.every(({ field, value }) => {
+      const haystack = field ? doc[field] : doc.text;
+      return typeof haystack === 'string' && haystack.includes(value);
+    });
+  },
+
+  /**
+   * Search document for a top game
+   */
+  gameDoc(game) {
+    const teams = [game.home, game.away].flatMap(team => [team?.name || '', team?.abbr || '']).join(' ');
+    const tags = (game.tags || []).join(' ');
+
+    return {
+      text: [teams, game.recap_2s, game.one_stat, game.why_it_mattered, tags].join(' ').toLowerCase(),
+      team: teams.toLowerCase(),
+      tag: tags.toLowerCase()
+    };
+  },
+
+  /**
+   * Search document for an opinion (a string or { text, stat })
+   */
+  opinionDoc(opinion) {
+    const text = typeof opinion === 'string' ? opinion : opinion?.text || '';
+    return { text: text.toLowerCase() };
+  },
+
+  /**
+   * Matching top games and opinions in a whole draft
+   * @returns {Object} { games, opinions }
+   */
+  searchDraft(draft, terms) {
+    return {
+      games: (draft.top_games || []).filter(game => this.matches(this.gameDoc(game), terms)),
+      opinions: (draft.quick_opinions || []).filter(opinion => this.matches(this.opinionDoc(opinion), terms))
+    };
+  },
+
+  /**
+   * Split text into plain and matched runs for highlighting
+   * @param {string} text - Original text
+   * @param {Array} terms - From parse; only text terms are highlighted
+   * @returns {Array} [{ text, match }]
+   */
+  segments(text, terms) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+
+    // Case folding that changes lengths would misplace the marks
+    if (lower.length === text.length) {
+      for (const { field, value } of terms) {
+        if (field) continue;
+        for (let at = lower.indexOf(value); at !== -1; at = lower.indexOf(value, at + value.length)) {
+          ranges.push([at, at + value.length]);
+        }
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const segments = [];
+    let pos = 0;
+    for (const [start, end] of ranges) {
+      if (end <= pos) continue;
+      if (start > pos) segments.push({ text: text.slice(pos, start), match: false });
+
+      // Overlapping matches join into one run
+      const from = Math.max(start, pos);
+      const last = segments[segments.length - 1];
+      if (last?.match && from === pos) {
+        last.text += text.slice(from, end);
+      } else {
+        segments.push({ text: text.slice(from, end), match: true });
+      }
+      pos = end;
+    }
+    if (pos < text.length) segments.push({ text: text.slice(pos), match: false });
+
+    return segments;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Search;
+}
@@ -1,21 +1,67 @@
 /**
- * State management for scope, week, and data paths
+ * State management for scope, season, week, and data paths
  */
 
 const State = {
   _scope: 'cfb',
+  _season: 'current',
   _week: 'current',
+  _seasonType: 'regular',
   _data: null,
   _searchTerm: '',
+  _tagFilter: '',
+  _teams: {},
+  _index: null,
+  _favorites: null,
+  _game: null,
+
+  // localStorage key for followed teams: { cfb: [names], nfl: [names] }
+  FAVORITES_KEY: 'favorite-teams',
 
   getCurrentScope() {
     return this._scope;
   },
 
+  /**
+   * Selected season year; 'current' follows the season calendar
+   */
+  getCurrentSeason(scope = this._scope) {
+    return this._season === 'current' ? this.resolveWeek(scope).season : this._season;
+  },
+
+  /**
+   * Select a season: 'current' or a season year
+   * @param {string|number} season
+   */
+  setSeason(season) {
+    this._season = season;
+  },
+
+  /**
+   * Seasons to offer for a scope, newest first: the current season plus
+   * every season in the index (or the calendar's listed seasons without one)
+   * @returns {Array<number>}
+   */
+  getSeasons(scope = this._scope) {
+    const current = this.resolveWeek(scope).season;
+    const drafts = this.getDrafts(scope);
+    const seasons = drafts
+      ? drafts.map(entry => entry.season)
+      : Object.keys(SeasonCalendar.SEASONS[scope] || {}).map(Number);
+
+    return [...new Set([current, ...seasons])]
+      .filter(season => season <= current)
+      .sort((a, b) => b - a);
+  },
+
   getCurrentWeek() {
     return this._week;
   },
 
+  getCurrentSeasonType() {
+    return this._seasonType;
+  },
+
   setScope(scope) {
     if (scope === 'cfb' || scope === 'nfl') {
       this._scope = scope;
@@ -24,8 +70,14 @@ const State = {
     return false;
   },
 
-  setWeek(week) {
+  /**
+   * Select a week: 'current', 'example', or a week/round number
+   * @param {string|number} week
+   * @param {string} [seasonType] - 'regular' or 'postseason'
+   */
+  setWeek(week, seasonType = 'regular') {
     this._week = week;
+    this._seasonType = seasonType;
   },
 
   setSearchTerm(term) {
@@ -36,6 +88,118 @@ const State = {
     return this._searchTerm;
   },
 
+  /**
+   * Limit Top Games to one tag ('' clears the filter)
+   */
+  setTagFilter(tag) {
+    this._tagFilter = tag || '';
+  },
+
+  getTagFilter() {
+    return this._tagFilter;
+  },
+
+  /**
+   * Open a top game's detail view by ids.game_id (null closes it)
+   */
+  setGame(gameId) {
+    this._game = gameId ? String(gameId) : null;
+  },
+
+  getGame() {
+    return this._game;
+  },
+
+  /**
+   * Team registry for the current scope (data/teams/{scope}.json)
+   */
+  setTeams(teams) {
+    this._teams = teams || {};
+  },
+
+  getTeam(name) {
+    return this._teams[name] || null;
+  },
+
+  /**
+   * Registry team names for the current scope
+   */
+  getTeamNames() {
+    return Object.keys(this._teams);
+  },
+
+  /**
+   * Teams the reader follows in a scope, in the order they were starred
+   * @returns {Array<string>} Team names
+   */
+  getFavorites(scope = this._scope) {
+    const names = this._loadFavorites()[scope];
+    return Array.isArray(names) ? [...names] : [];
+  },
+
+  isFavorite(name, scope = this._scope) {
+    return this.getFavorites(scope).includes(name);
+  },
+
+  /**
+   * Star or unstar a team
+   * @returns {boolean} Whether the team is now followed
+   */
+  toggleFavorite(name, scope = this._scope) {
+    const favorites = this._loadFavorites();
+    const names = this.getFavorites(scope);
+    const following = !names.includes(name);
+
+    favorites[scope] = following ? [...names, name] : names.filter(n => n !== name);
+    try {
+      localStorage.setItem(this.FAVORITES_KEY, JSON.stringify(favorites));
+    } catch (error) {
+      // Storage full or blocked: the star lasts until the page closes
+    }
+    return following;
+  },
+
+  /**
+   * Followed teams from localStorage, read once
+   * @private
+   */
+  _loadFavorites() {
+    if (!this._favorites) {
+      try {
+        const stored = JSON.parse(localStorage.getItem(this.FAVORITES_KEY));
+        this._favorites = stored && typeof stored === 'object' ? stored : {};
+      } catch (error) {
+        this._favorites = {};
+      }
+    }
+    return this._favorites;
+  },
+
+  /**
+   * Draft index (data/index.json); null when it couldn't be loaded
+   */
+  setIndex(index) {
+    this._index = index || null;
+  },
+
+  /**
+   * Drafts listed for a scope, newest first
+   * @returns {Array|null} Index entries, or null without an index
+   */
+  getDrafts(scope = this._scope) {
+    if (!this._index) return null;
+    return this._index.scopes?.[scope] || [];
+  },
+
+  /**
+   * Index entry for one week, or null if that draft doesn't exist
+   */
+  findDraft(scope, season, week, seasonType = 'regular') {
+    return (this.getDrafts(scope) || []).find(entry =>
+      entry.season === season && entry.week === week && entry.season_type === seasonType
+    ) || null;
+  },
+
   setData(data) {
     this._data = data;
   },
@@ -45,32 +209,207 @@ const State = {
   },
 
   /**
-   * Infer current week number from date
-   * Simplified: assume weeks start on Monday, season starts Aug 1
-   * In production, this would use actual CFB/NFL schedules
+   * Week in progress for a scope, from the season calendar
+   * @returns {Object} { season, seasonType, week, label, start, end }
+   */
+  resolveWeek(scope = this._scope, date = new Date()) {
+    return SeasonCalendar.resolve(scope, date);
+  },
+
+  /**
+   * The week "This Week" means for a season: the week in progress for the
+   * current season, or the final round of a past one
+   * @returns {Object} Week entry (see SeasonCalendar.weeks)
+   */
+  currentWeekOf(scope, season) {
+    const current = this.resolveWeek(scope);
+    if (season === current.season) return current;
+
+    const weeks = SeasonCalendar.weeks(scope, season);
+    return weeks[weeks.length - 1];
+  },
+
+  /**
+   * Generate data file path for given scope, season and week
+   * Drafts live in /data/{scope}/{season}/; postseason rounds in post_NN.json
+   */
+  dataPath(scope, week, seasonType = 'regular', season = this.getCurrentSeason(scope)) {
+    if (week === 'current') {
+      const target = this.currentWeekOf(scope, season);
+      const drafts = (this.getDrafts(scope) || []).filter(entry => entry.season === season);
+
+      // Until this week's draft is out, "This Week" shows the season's newest one
+      if (drafts.length > 0 && !this.findDraft(scope, season, target.week, target.seasonType)) {
+        return drafts[0].path;
+      }
+      week = target.week;
+      seasonType = target.seasonType;
+    }
+
+    // The index knows where older drafts were written
+    const entry = this.findDraft(scope, season, week, seasonType);
+    if (entry) return entry.path;
+
+    return `/data/${scope}/${season}/${this._fileName(week, seasonType)}`;
+  },
+
+  /**
+   * Path drafts had before they were split by season (/data/{scope}/week_NN.json)
+   * The same file may hold any season, so check meta.season before using it
+   * @returns {string|null} Path, or null for the example week
+   */
+  legacyDataPath(scope, week, seasonType = 'regular', season = this.getCurrentSeason(scope)) {
+    if (week === 'example') return null;
+    if (week === 'current') {
+      const target = this.currentWeekOf(scope, season);
+      week = target.week;
+      seasonType = target.seasonType;
+    }
+    return `/data/${scope}/${this._fileName(week, seasonType)}`;
+  },
+
+  /**
+   * week_NN.json or post_NN.json
+   * @private
+   */
+  _fileName(week, seasonType) {
+    const prefix = seasonType === 'postseason' ? 'post' : 'week';
+    return `${prefix}_${String(week).padStart(2, '0')}.json`;
+  },
+
+  /**
+   * Week selector value: 'current', 'example', or 'regular:3' / 'postseason:1'
+   */
+  getWeekValue() {
+    if (this._week === 'current' || this._week === 'example') return this._week;
+    return `${this._seasonType}:${this._week}`;
+  },
+
+  /**
+   * Query string for the current state (?scope=nfl&week=5&q=utah)
+   * Defaults are left out; postseason rounds are written "post1"
+   * @returns {string} '' or '?...'
+   */
+  toQuery() {
+    const params = new URLSearchParams();
+
+    if (this._scope !== 'cfb') params.set('scope', this._scope);
+    if (this._season !== 'current') params.set('season', String(this._season));
+    if (this._week !== 'current') {
+      params.set('week', this._seasonType === 'postseason' ? `post${this._week}` : String(this._week));
+    }
+    if (this._searchTerm) params.set('q', this._searchTerm);
+    if (this._tagFilter) params.set('tag', this._tagFilter);
+    if (this._game) params.set('game', this._game);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  },
+
+  /**
+   * Restore state from a query string, ignoring values that don't parse
+   * Anything missing goes back to its default
+   * @param {string} search - location.search
+   */
+  fromQuery(search) {
+    const params = new URLSearchParams(search);
+
+    if (!this.setScope(params.get('scope'))) this._scope = 'cfb';
+
+    const season = parseInt(params.get('season'));
+    this.setSeason(season > 0 ? season : 'current');
+
+    const week = params.get('week') || '';
+    const match = week.match(/^(post)?(\d+)$/);
+    if (week === 'example') {
+      this.setWeek('example');
+    } else if (match) {
+      this.setWeek(parseInt(match[2]), match[1] ? 'postseason' : 'regular');
+    } else {
+      this.setWeek('current');
+    }
+
+    this.setSearchTerm(params.get('q') || '');
+    this.setTagFilter(params.get('tag') || '');
+    this.setGame(params.get('game'));
+  },
+
+  /**
+   * Permalink to a game in the loaded draft, pinned to the draft's own
+   * season and week so it keeps working after "This Week" moves on
+   * @param {string} gameId - ids.game_id
+   * @returns {string} Relative URL ('?scope=...#game-...')
+   */
+  permalink(gameId) {
+    return `?${this._draftParams().toString()}#${this.gameAnchor(gameId)}`;
+  },
+
+  /**
+   * Link to a game's detail view, pinned like its permalink
+   * @param {string} gameId - ids.game_id
+   * @returns {string} Relative URL ('?season=2025&week=1&game=...')
    */
-  resolveWeekNumber(date = new Date()) {
-    const seasonStart = new Date(date.getFullYear(), 7, 1); // Aug 1
-    const diffTime = date - seasonStart;
-    const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-    const week = Math.floor(diffDays / 7) + 1;
-    return Math.max(1, Math.min(week, 17)); // Cap at week 17
+  detailLink(gameId) {
+    const params = this._draftParams();
+    params.set('game', String(gameId));
+    return `?${params.toString()}`;
   },
 
   /**
-   * Generate data file path for given scope and week
+   * Scope, season and week of the loaded draft as query parameters
+   * @private
    */
-  dataPath(scope, week) {
-    const weekNum = week === 'current' ? this.resolveWeekNumber() : week;
-    const weekStr = String(weekNum).padStart(2, '0');
-    return `/data/${scope}/week_${weekStr}.json`;
+  _draftParams() {
+    const meta = this._data?.meta || {};
+    const params = new URLSearchParams();
+
+    if (this._scope !== 'cfb') params.set('scope', this._scope);
+    if (this._week === 'example') {
+      params.set('week', 'example');
+    } else if (meta.season && typeof meta.week === 'number') {
+      params.set('season', String(meta.season));
+      params.set('week', meta.season_type === 'postseason' ? `post${meta.week}` : String(meta.week));
+    }
+
+    return params;
+  },
+
+  /**
+   * Link to a week's draft from its index entry, keeping the search
+   * @param {Object} entry - Index entry ({ season, season_type, week })
+   * @param {string} [gameId] - ids.game_id of a game to open at
+   * @returns {string} Relative URL ('?season=2025&week=3&q=utah#game-...')
+   */
+  draftLink(entry, gameId) {
+    const params = new URLSearchParams();
+
+    if (this._scope !== 'cfb') params.set('scope', this._scope);
+    params.set('season', String(entry.season));
+    params.set('week', entry.season_type === 'postseason' ? `post${entry.week}` : String(entry.week));
+    if (this._searchTerm) params.set('q', this._searchTerm);
+
+    return `?${params.toString()}${gameId ? `#${this.gameAnchor(gameId)}` : ''}`;
+  },
+
+  /**
+   * Element id for a game card ("game-2025-08-29-12-254")
+   */
+  gameAnchor(gameId) {
+    return `game-${String(gameId).replace(/[^A-Za-z0-9_-]/g, '-')}`;
   },
 
   /**
    * Get current data path
    */
   getCurrentDataPath() {
-    return this.dataPath(this._scope, this._week);
+    return this.dataPath(this._scope, this._week, this._seasonType, this.getCurrentSeason());
+  },
+
+  /**
+   * Get current legacy data path
+   */
+  getCurrentLegacyDataPath() {
+    return this.legacyDataPath(this._scope, this._week, this._seasonType, this.getCurrentSeason());
   }
 };
 
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Asset manifest builder
+ * Hashes the app shell (index.html, the scripts and manifest it links, the
+ * manifest's icons) and writes asset-manifest.js for the service worker to
+ * precache. Any content change gives the shell a new version, so returning
+ * readers get the new code instead of a stale cache.
+ *
+ * Usage: node scripts/buildAssets.mjs [--check]
+ *   --check  exit 1 if asset-manifest.js is out of date instead of writing it
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROOT = join(__dirname, '..');
+const MANIFEST_FILE = join(ROOT, 'asset-manifest.js');
+
+/**
+ * Short content hash of a file
+ * @private
+ */
+function hashFile(path) {
+  return createHash('sha256').update(readFileSync(path)).digest('hex').slice(0, 10);
+}
+
+/**
+ * Site path for a reference in index.html ("assets/app.js" -> "/assets/app.js")
+ * @private
+ */
+function sitePath(ref) {
+  return '/' + ref.replace(/^\.?\//, '');
+}
+
+/**
+ * Every shell file: the page, what it links, and the web manifest's icons
+ * @returns {Array} Site paths, "/" first
+ */
+function shellPaths() {
+  const html = readFileSync(join(ROOT, 'index.html'), 'utf8');
+  const paths = ['/', '/index.html'];
+
+  for (const [, ref] of html.matchAll(/<script[^>]+src="([^"]+)"/g)) {
+    paths.push(sitePath(ref));
+  }
+  const manifestRef = html.match(/<link[^>]+rel="manifest"[^>]+href="([^"]+)"/)?.[1];
+  if (manifestRef) {
+    paths.push(sitePath(manifestRef));
+    const manifest = JSON.parse(readFileSync(join(ROOT, manifestRef), 'utf8'));
+    for (const icon of manifest.icons || []) {
+      // Icons are optional (see assets/ICONS.md); skip ones not added yet
+      if (existsSync(join(ROOT, icon.src))) paths.push(sitePath(icon.src));
+    }
+  }
+
+  return [...new Set(paths)];
+}
+
+/**
+ * Build the manifest source
+ * @returns {string} Contents of asset-manifest.js
+ */
+function buildManifest() {
+  const assets = {};
+  for (const path of shellPaths()) {
+    const file = path === '/' ? 'index.html' : path.slice(1);
+    if (!existsSync(join(ROOT, file))) {
+      throw new Error(`index.html references ${path}, which doesn't exist`);
+    }
+    assets[path] = hashFile(join(ROOT, file));
+  }
+
+  const version = createHash('sha256')
+    .update(Object.entries(assets).map(([path, hash]) => `${path} ${hash}`).join('\n'))
+    .digest('hex')
+    .slice(0, 10);
+
+  return [
+    '// Generated by scripts/buildAssets.mjs (npm run build); do not edit.',
+    '// App shell the service worker precaches, with content hashes.',
+    `self.ASSET_MANIFEST = ${JSON.stringify({ version, assets }, null, 2)};`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Main build function
+ */
+function buildAssets() {
+  const source = buildManifest();
+  const current = existsSync(MANIFEST_FILE) ? readFileSync(MANIFEST_FILE, 'utf8') : null;
+  const version = source.match(/"version": "(\w+)"/)[1];
+
+  if (process.argv.includes('--check')) {
+    if (source !== current) {
+      console.error('❌ asset-manifest.js is out of date; run npm run build');
+      process.exit(1);
+    }
+    console.log(`✅ asset-manifest.js is up to date (shell ${version})`);
+    return;
+  }
+
+  if (source === current) {
+    console.log(`✅ asset-manifest.js unchanged (shell ${version})`);
+    return;
+  }
+  writeFileSync(MANIFEST_FILE, source);
+  console.log(`✅ Wrote asset-manifest.js (shell ${version})`);
+}
+
+buildAssets();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Rebuild data/index.json from the drafts on disk
+ * The generator keeps the index current; run this after adding or
+ * hand-editing a draft.
+ *
+ * Usage: node scripts/buildIndex.mjs
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { manifestEntry, upsertEntry, saveManifest, MANIFEST_PATH } from './lib/manifest.mjs';
+import { validateDraft } from './lib/draftSchema.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'data');
+const SCOPES = ['cfb', 'nfl'];
+
+// Generated drafts only; the example file isn't part of the index
+const DRAFT_FILE = /^(week|post)_\d+\.json$/;
+
+/**
+ * Draft files for a scope: data/{scope}/{season}/ folders first, then flat
+ * files left from before drafts were split by season
+ * @private
+ */
+function findDrafts(scope) {
+  const dir = join(DATA_DIR, scope);
+  if (!existsSync(dir)) return [];
+
+  const seasons = readdirSync(dir).filter(name => /^\d{4}$/.test(name) && statSync(join(dir, name)).isDirectory());
+  const files = [];
+
+  for (const season of seasons) {
+    for (const file of readdirSync(join(dir, season)).filter(name => DRAFT_FILE.test(name))) {
+      files.push(`${season}/${file}`);
+    }
+  }
+  files.push(...readdirSync(dir).filter(name => DRAFT_FILE.test(name)));
+
+  return files;
+}
+
+/**
+ * Main build function
+ */
+function buildIndex() {
+  const manifest = { updated_at: null, scopes: {} };
+  let count = 0;
+
+  for (const scope of SCOPES) {
+    for (const file of findDrafts(scope)) {
+      const draft = JSON.parse(readFileSync(join(DATA_DIR, scope, file), 'utf8'));
+      if (validateDraft(draft).length > 0) {
+        console.warn(`⚠️  Skipping invalid draft ${scope}/${file} (run npm run validate)`);
+        continue;
+      }
+
+      // A season folder's copy wins over a flat file for the same week
+      const entry = manifestEntry(draft, `/data/${scope}/${file}`);
+      const exists = (manifest.scopes[scope] || []).some(e =>
+        e.season === entry.season && e.week === entry.week && e.season_type === entry.season_type
+      );
+      if (exists) {
+        console.warn(`⚠️  Skipping ${scope}/${file}: ${entry.season} ${entry.label} is already indexed`);
+        continue;
+      }
+
+      upsertEntry(manifest, scope, entry);
+      count++;
+    }
+  }
+
+  saveManifest(manifest);
+  console.log(`✅ Indexed ${count} drafts in ${MANIFEST_PATH}`);
+}
+
+buildIndex();
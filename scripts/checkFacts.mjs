@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Draft fact check
+ * Compares the scores, teams, quarters and numbers named in every top game's
+ * text with the game's final score and box data, for every draft under data/
+ * (or the files given). Prints each problem with its field path and exits 1
+ * if any text contradicts the data; claims the draft can't confirm are warnings.
+ *
+ * Usage: node scripts/checkFacts.mjs [file ...]
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, relative, basename } from 'path';
+import { checkDraftFacts } from './lib/factCheck.mjs';
+import { loadTeamRegistry } from './lib/teams.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROOT = join(__dirname, '..');
+const DATA_DIR = join(ROOT, 'data');
+
+// Drafts only; overrides text is checked once it's merged into its draft
+const DRAFT_FILE = /^(week|post)_\d+(\.example)?\.json$/;
+
+// Team registries by scope, loaded on first use
+const registries = {};
+
+/**
+ * Every draft file under a directory
+ * @private
+ */
+function findDrafts(dir) {
+  const files = [];
+  for (const name of readdirSync(dir).sort()) {
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) {
+      if (name !== 'teams') files.push(...findDrafts(path));
+    } else if (DRAFT_FILE.test(name)) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Team names for a draft's scope
+ * @private
+ */
+function teamsFor(scope) {
+  if (!registries[scope]) {
+    registries[scope] = Object.keys(loadTeamRegistry(scope).teams);
+  }
+  return registries[scope];
+}
+
+/**
+ * Check one file, returning its problems
+ * @private
+ */
+function checkFile(path) {
+  let draft;
+  try {
+    draft = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    return [{ path: '/', level: 'error', message: `not readable JSON: ${error.message}` }];
+  }
+  const scope = ['cfb', 'nfl'].includes(draft.meta?.scope) ? draft.meta.scope : null;
+  return checkDraftFacts(draft, { teams: scope ? teamsFor(scope) : [] });
+}
+
+/**
+ * Main fact check function
+ */
+function checkFacts() {
+  const args = process.argv.slice(2);
+  const files = args.length > 0 ? args.map(file => resolve(file)) : findDrafts(DATA_DIR);
+
+  if (files.length === 0) {
+    console.log('⚠️  No drafts found under data/');
+    return;
+  }
+
+  let failed = 0;
+  let warned = 0;
+  for (const file of files) {
+    const name = relative(ROOT, file) || basename(file);
+    const problems = checkFile(file);
+    const errors = problems.filter(problem => problem.level === 'error');
+
+    if (problems.length === 0) {
+      console.log(`✓ ${name}`);
+      continue;
+    }
+
+    if (errors.length > 0) {
+      failed++;
+      console.error(`❌ ${name}`);
+    } else {
+      warned++;
+      console.warn(`⚠️  ${name}`);
+    }
+    for (const problem of problems) {
+      const line = `   ${problem.level === 'error' ? '✗' : '?'} ${problem.path} ${problem.message}`;
+      problem.level === 'error' ? console.error(line) : console.warn(line);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${files.length} drafts contradict their game data`);
+    process.exit(1);
+  }
+  console.log(`✅ ${files.length} draft${files.length !== 1 ? 's' : ''} checked${warned > 0 ? ` (${warned} with claims the data can't confirm)` : ''}`);
+}
+
+checkFacts();
@@ -7,182 +7,213 @@
 import { writeFileSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { getProvider, fixtureProvider } from './providers/index.mjs';
+import { recapInput } from './lib/recapFacts.mjs';
+import { boxScore } from './lib/gameFacts.mjs';
+import { checkDraftFacts } from './lib/factCheck.mjs';
+import { checkRecap, formatProblems } from './lib/recapCheck.mjs';
+import { loadRankingConfig, rankGames, explainRanking } from './lib/ranking.mjs';
+import { deriveTags } from './lib/tags.mjs';
+import { pickUpcoming } from './lib/schedule.mjs';
+import { compactResults } from './lib/results.mjs';
+import { loadStandingsConfig, computeStandings, raceSummary } from './lib/standings.mjs';
+import { gameDetail, detailPath } from './lib/gameDetail.mjs';
+import { generateOpinions } from './lib/opinions.mjs';
+import { loadTeamRegistry, findTeam, logoExists } from './lib/teams.mjs';
+import { validateDraft, validateDetail, formatErrors } from './lib/draftSchema.mjs';
+import { SeasonCalendar } from './lib/calendar.mjs';
+import { loadManifest, saveManifest, manifestEntry, upsertEntry } from './lib/manifest.mjs';
+import {
+  overridesPath, loadOverrides, hasOverrides, selectGames, applyGameOverrides, mergeOpinions, mergeWhatsNext,
+  annotateRanking
+} from './lib/overrides.mjs';
+import { getWriter, templateWriter } from './writers/index.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const SEASON = parseInt(process.env.SEASON) || new Date().getFullYear();
-const WEEK = parseInt(process.env.WEEK) || 1;
 const SCOPE = process.env.SCOPE || 'cfb';
-const API_KEY = process.env.CFBD_API_KEY;
+
+// Unset SEASON/WEEK/SEASON_TYPE default to the week in progress on the season calendar
+// (SEASON on its own: that season's final week)
+const CURRENT = process.env.SEASON && !process.env.WEEK
+  ? SeasonCalendar.last(SCOPE, parseInt(process.env.SEASON), process.env.SEASON_TYPE)
+  : SeasonCalendar.resolve(SCOPE);
+const SEASON = parseInt(process.env.SEASON) || CURRENT.season;
+const WEEK = process.env.WEEK ? parseInt(process.env.WEEK) : CURRENT.week;
+const SEASON_TYPE = process.env.SEASON_TYPE || (process.env.WEEK ? 'regular' : CURRENT.seasonType);
+
+// Active data provider (PROVIDER overrides the scope default)
+let provider = getProvider(SCOPE, process.env.PROVIDER);
+
+// Ranking weights (RANKING_CONFIG overrides scripts/config/ranking.json)
+const RANKING = loadRankingConfig(SCOPE, process.env.RANKING_CONFIG);
+
+// Conferences, divisions and tiebreakers (STANDINGS_CONFIG overrides scripts/config/standings.json)
+const STANDINGS = loadStandingsConfig(SCOPE, process.env.STANDINGS_CONFIG);
+
+// Team registry (data/teams/{scope}.json)
+const TEAMS = loadTeamRegistry(SCOPE);
+
+// Recap writer (WRITER=llm sends recaps to an OpenAI-compatible endpoint)
+const WRITER = getWriter(process.env.WRITER);
+const WRITER_OPTIONS = {
+  seed: process.env.RECAP_SEED || '',
+  baseUrl: process.env.LLM_BASE_URL,
+  model: process.env.LLM_MODEL,
+  apiKey: process.env.LLM_API_KEY,
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || undefined
+};
+
+// Recaps the configured writer produced (the rest fell back to the template)
+let writerRecaps = 0;
 
 /**
- * Rank games by excitement and importance
- * @param {Array} games - Array of game objects
- * @returns {Array} Ranked and filtered games
+ * Write a game's recap, falling back to the template writer when the
+ * configured writer fails or its text doesn't pass the checks
+ * @param {Object} game - Ranked game (after attachDetails)
+ * @param {Array} knownTeams - Team names the recap must not drag in
+ * @returns {Promise<Object>} Game with generated text fields
  */
-function rankGames(games) {
-  // Filter to completed games only
-  const completed = games.filter(g => g.completed && g.home_points !== null && g.away_points !== null);
-  
-  return completed
-    .map(game => {
-      let score = 0;
-      const homeScore = game.home_points || 0;
-      const awayScore = game.away_points || 0;
-      const scoreDiff = Math.abs(homeScore - awayScore);
-      const totalPoints = homeScore + awayScore;
-
-      // One-score finish (very exciting)
-      if (scoreDiff <= 8) score += 6;
-      if (scoreDiff <= 3) score += 4;
-      if (scoreDiff === 0) score += 3; // Ties
-
-      // High-scoring shootout
-      if (totalPoints > 70) score += 3;
-      if (totalPoints > 80) score += 2;
-
-      // Conference game gets small boost
-      if (game.conference_game) score += 1;
-
-      // Overtime games get extra points
-      if (game.periods === 5) score += 4; // 1 OT
-      if (game.periods > 5) score += 6;   // Multiple OTs
-
-      game._rankScore = score;
-      game._scoreDiff = scoreDiff;
-      game._totalPoints = totalPoints;
-      game._winner = homeScore > awayScore ? 'home' : 'away';
-      return game;
-    })
-    .sort((a, b) => b._rankScore - a._rankScore)
-    .slice(0, 5)
-    .map(game => {
-      // Keep internal data for recap generation
-      return game;
-    });
+async function generateRecap(game, knownTeams) {
+  const input = recapInput(game);
+  const match = `${game.away_team} @ ${game.home_team}`;
+  let recap = null;
+
+  if (WRITER !== templateWriter) {
+    try {
+      recap = await WRITER.write(input, WRITER_OPTIONS);
+      const problems = checkRecap(recap, input, { teams: knownTeams });
+      if (problems.length > 0) {
+        console.warn(`⚠️  ${WRITER.name} recap for ${match} failed checks, using template:\n   ${formatProblems(problems).join('\n   ')}`);
+        recap = null;
+      }
+    } catch (error) {
+      console.warn(`⚠️  ${WRITER.name} writer failed for ${match}, using template:`, error.message);
+    }
+  }
+
+  if (!recap) {
+    recap = await templateWriter.write(input, WRITER_OPTIONS);
+    const problems = checkRecap(recap, input, { teams: knownTeams });
+    for (const line of formatProblems(problems)) {
+      console.warn(`⚠️  Template recap for ${match}: ${line}`);
+    }
+  } else {
+    writerRecaps++;
+  }
+
+  Object.assign(game, recap);
+  game.tags = deriveTags(game, RANKING.rivalries);
+  game._facts = input.facts;
+  return game;
 }
 
 /**
- * Generate recap text from game data (template-based)
- * @param {Object} game - Game object
- * @returns {Object} Game with generated text fields
+ * Call an optional provider method, warning instead of failing
  */
-function generateRecap(game) {
-  const homeScore = game.home_points || 0;
-  const awayScore = game.away_points || 0;
-  const scoreDiff = game._scoreDiff;
-  const totalPoints = game._totalPoints;
-  const winner = game._winner;
-  const wonTeam = winner === 'home' ? game.home_team : game.away_team;
-  const lostTeam = winner === 'away' ? game.home_team : game.away_team;
-
-  const isClose = scoreDiff <= 8;
-  const isShootout = totalPoints > 70;
-  const isOvertime = game.periods > 4;
-
-  let sentence1 = '';
-  if (isOvertime) {
-    sentence1 = `${wonTeam} survived ${isShootout ? 'a back-and-forth shootout' : 'a tight contest'} that required overtime to decide.`;
-  } else if (isClose) {
-    sentence1 = isShootout 
-      ? `In a high-scoring affair, ${wonTeam} edged ${lostTeam} by ${scoreDiff} point${scoreDiff !== 1 ? 's' : ''}.`
-      : `${wonTeam} pulled out a narrow ${scoreDiff}-point victory over ${lostTeam}.`;
-  } else {
-    sentence1 = `${wonTeam} took control ${isShootout ? 'in the shootout' : 'early'} and maintained their lead throughout.`;
+async function callOptional(method, label, options, fallback) {
+  if (!provider[method]) return fallback;
+
+  try {
+    return await provider[method](options);
+  } catch (error) {
+    console.warn(`⚠️  ${label} unavailable:`, error.message);
+    return fallback;
   }
+}
 
-  const sentence2 = isShootout
-    ? `Both teams' offenses moved the ball effectively, but ${winner === 'home' ? wonTeam + ' managed to get more stops' : lostTeam + ' fell short on crucial drives'}.`
-    : `The decisive moments came ${isClose ? 'late in the game' : 'when the winning team established momentum'}.`;
+/**
+ * Fetch poll ranks for a week, keyed by team
+ * AP rank is preferred; Coaches fills in teams AP leaves out
+ */
+async function fetchRanks(season, week, scope, seasonType = 'regular') {
+  const rankings = await callOptional('fetchRankings', 'Rankings', { season, week, scope, seasonType }, []);
+  const ranks = {};
 
-  game.recap_2s = `${sentence1} ${sentence2}`;
-  
-  if (isOvertime) {
-    game.one_stat = `${game.periods} periods total`;
-  } else if (isShootout) {
-    game.one_stat = `Combined ${totalPoints} points`;
-  } else if (isClose) {
-    game.one_stat = `${scoreDiff}-point margin`;
-  } else {
-    game.one_stat = `${wonTeam} won by ${scoreDiff}`;
+  for (const poll of ['coaches', 'ap']) {
+    for (const entry of rankings.filter(r => r.poll === poll)) {
+      ranks[entry.team] = entry.rank;
+    }
   }
 
-  const whyOptions = [
-    'Both teams showed resilience, but execution in key moments made the difference.',
-    isShootout ? 'The high-scoring affair showcased explosive offenses struggling to get defensive stops.' : 'Defensive discipline and limiting mistakes proved critical in the outcome.',
-    isClose ? 'A single big play or stop swung momentum in this tightly contested game.' : 'The winner established control and never let their opponent back in the game.'
-  ];
-  game.why_it_mattered = whyOptions[Math.floor(Math.random() * whyOptions.length)];
-
-  return game;
+  return ranks;
 }
 
 /**
- * Fetch games from CFBD API or use stub
+ * Attach poll ranks and betting lines to each game
  */
-async function fetchGames(season, week, scope) {
-  if (!API_KEY) {
-    console.warn('⚠️  No CFBD_API_KEY set. Using stub data.');
-    return getStubGames();
+function attachRankingSignals(games, ranks, lines) {
+  for (const game of games) {
+    game.home_rank = ranks[game.home_team] || null;
+    game.away_rank = ranks[game.away_team] || null;
+
+    const line = lines[game.id];
+    if (line) {
+      game.spread = line.spread;
+      game.over_under = line.over_under;
+    }
   }
 
-  try {
-    console.log(`📡 Fetching games from CFBD API...`);
-    
-    // Fetch games for the week
-    const gamesUrl = `https://api.collegefootballdata.com/games?year=${season}&week=${week}&seasonType=regular`;
-    const gamesResponse = await fetch(gamesUrl, {
-      headers: { 'Authorization': `Bearer ${API_KEY}` }
-    });
-
-    if (!gamesResponse.ok) {
-      throw new Error(`API error: ${gamesResponse.status}`);
+  return games;
+}
+
+/**
+ * Attach box scores, line scores and scoring plays to each game
+ * Games without details keep score-only recaps
+ */
+async function attachDetails(games, season, week, scope, seasonType = 'regular') {
+  for (const game of games) {
+    try {
+      const details = await provider.fetchGameDetails({ season, week, scope, seasonType, game });
+      Object.assign(game, details);
+    } catch (error) {
+      console.warn(`⚠️  No box score for ${game.away_team} at ${game.home_team}:`, error.message);
     }
+  }
+  return games;
+}
 
-    const games = await gamesResponse.json();
+/**
+ * Fetch games from the scope's provider, falling back to local fixtures
+ */
+async function fetchGames(season, week, scope, seasonType = 'regular') {
+  try {
+    console.log(`📡 Fetching games from ${provider.name}...`);
+    const games = await provider.fetchGames({ season, week, scope, seasonType });
     console.log(`✓ Found ${games.length} games`);
-
-    // Return games (box scores can be added later if needed)
     return games;
   } catch (error) {
-    console.error('❌ API fetch failed:', error.message);
-    console.warn('⚠️  Falling back to stub data.');
-    return getStubGames();
+    if (provider === fixtureProvider) throw error;
+
+    console.error(`❌ ${provider.name} fetch failed:`, error.message);
+    console.warn('⚠️  Falling back to local fixture data.');
+    provider = fixtureProvider;
+    return provider.fetchGames({ season, week, scope, seasonType });
   }
 }
 
 /**
- * Return stub data when API is unavailable
+ * Map one team through the registry
+ * Logos are only linked once the file exists under assets/logos
  */
-function getStubGames() {
-  return [
-    {
-      id: `2025-08-30-278-290`,
-      home_team: 'Fresno State',
-      away_team: 'Georgia Southern',
-      home_points: 28,
-      away_points: 24,
-      completed: true
-    }
-  ];
+function mapTeam(registry, name, id) {
+  const team = findTeam(registry, name, id, provider.name);
+  return {
+    name,
+    abbr: team?.abbr || name.substring(0, 4).toUpperCase(),
+    logo: logoExists(team?.logo) ? team.logo : '',
+    ...(team?.color && { color: team.color })
+  };
 }
 
 /**
  * Map API data to our schema
  */
-function mapToSchema(game, teamData) {
+function mapToSchema(game, registry) {
   return {
-    home: {
-      name: game.home_team,
-      abbr: teamData[game.home_team]?.abbr || game.home_team.substring(0, 4).toUpperCase(),
-      logo: teamData[game.home_team]?.logo || ''
-    },
-    away: {
-      name: game.away_team,
-      abbr: teamData[game.away_team]?.abbr || game.away_team.substring(0, 4).toUpperCase(),
-      logo: teamData[game.away_team]?.logo || ''
-    },
+    home: mapTeam(registry, game.home_team, game.home_id),
+    away: mapTeam(registry, game.away_team, game.away_id),
     final: `${game.home_points}–${game.away_points}`,
     recap_2s: game.recap_2s || '',
     one_stat: game.one_stat || '',
@@ -191,82 +222,196 @@ function mapToSchema(game, teamData) {
     ids: {
       home_id: game.home_id || 0,
       away_id: game.away_id || 0,
-      game_id: game.id || ''
-    }
+      game_id: String(game.id || '')
+    },
+    box: boxScore(game)
   };
 }
 
 /**
- * Generate opinions (stub)
+ * Generate "What's Next" from next week's schedule (or the next postseason round)
+ * Falls back to this week's poll when next week's isn't out yet
  */
-function generateOpinions(games) {
-  return [
-    'Defensive coordinators are winning the early-season chess matches with aggressive third-down schemes.',
-    'Quarterback efficiency on first and second down remains the strongest predictor of offensive success.',
-    'Red-zone execution separated close games this week; teams that settled for field goals early paid the price later.',
-    'Turnover margin continues to be the most reliable indicator of game outcomes, with a +2 swing worth roughly 10 points.'
-  ];
-}
+async function generateWhatsNext(season, week, scope, seasonType, currentRanks) {
+  const current = SeasonCalendar.find(scope, season, seasonType, week);
+  const upcoming = current && SeasonCalendar.next(current);
+  if (!upcoming) {
+    console.warn(`⚠️  Nothing scheduled after ${SeasonCalendar.label(scope, seasonType, week)}`);
+    return [];
+  }
+  const next = { season, week: upcoming.week, scope, seasonType: upcoming.seasonType };
 
-/**
- * Generate "What's Next" (stub)
- */
-function generateWhatsNext(week) {
-  return [
-    { when: 'Fri', match: 'TBD', hook: 'Friday night spotlight' },
-    { when: 'Sat', match: 'TBD', hook: 'Weekend showcase' }
-  ];
+  let games;
+  try {
+    games = await provider.fetchGames(next);
+  } catch (error) {
+    console.warn(`⚠️  ${upcoming.label} schedule unavailable:`, error.message);
+    return [];
+  }
+
+  const nextRanks = await fetchRanks(season, next.week, scope, next.seasonType);
+  const ranks = Object.keys(nextRanks).length ? nextRanks : currentRanks;
+  const lines = await callOptional('fetchLines', 'Betting lines', next, {});
+  const records = await callOptional('fetchRecords', 'Records', next, {});
+
+  attachRankingSignals(games, ranks, lines);
+  for (const game of games) {
+    game.home_record = game.home_record || records[game.home_team] || null;
+    game.away_record = game.away_record || records[game.away_team] || null;
+  }
+
+  return pickUpcoming(games, RANKING.rivalries);
 }
 
 /**
  * Main generator function
  */
 async function generateDraft() {
-  console.log(`Generating draft for ${SCOPE.toUpperCase()} Week ${WEEK}, ${SEASON}...`);
+  const label = SeasonCalendar.label(SCOPE, SEASON_TYPE, WEEK);
+  const options = { season: SEASON, week: WEEK, scope: SCOPE, seasonType: SEASON_TYPE };
+  console.log(`Generating draft for ${SCOPE.toUpperCase()} ${label}, ${SEASON}...`);
 
   // Fetch games
-  const games = await fetchGames(SEASON, WEEK, SCOPE);
+  const games = await fetchGames(SEASON, WEEK, SCOPE, SEASON_TYPE);
   if (!games || games.length === 0) {
     console.error('❌ No games found');
     process.exit(1);
   }
 
   // Rank games
-  const ranked = rankGames(games);
+  const ranks = await fetchRanks(SEASON, WEEK, SCOPE, SEASON_TYPE);
+  const lines = await callOptional('fetchLines', 'Betting lines', options, {});
+  attachRankingSignals(games, ranks, lines);
+  const scored = rankGames(games, RANKING);
+  if (scored.length === 0) {
+    // Scheduled but not yet played: no draft (or index entry) without a headline
+    console.error('❌ No completed games yet');
+    process.exit(1);
+  }
+
+  // Editor overrides: pinned, excluded and reordered games
+  const overridesFile = overridesPath(SCOPE, SEASON, SEASON_TYPE, WEEK);
+  const overrides = loadOverrides(overridesFile);
+  if (hasOverrides(overrides)) {
+    console.log(`✏️  Applying overrides from ${overridesFile}`);
+  }
+  const { selected: ranked, unknown } = selectGames(scored, overrides, RANKING.top_n);
+  for (const id of unknown) {
+    console.warn(`⚠️  Overrides name game ${id}, which isn't a completed game this week`);
+  }
+
+  // Pull box scores and scoring plays for the top games
+  await attachDetails(ranked, SEASON, WEEK, SCOPE, SEASON_TYPE);
   
-  // Generate content for each game
-  const processedGames = ranked.map(game => {
-    const withRecap = generateRecap(game);
-    return mapToSchema(withRecap, {});
-  });
+  // Generate content for each game, one at a time so a local model isn't flooded
+  // (the fact check rejects any other team playing this week or in the registry)
+  const knownTeams = [...games.flatMap(game => [game.home_team, game.away_team]), ...Object.keys(TEAMS.teams)];
+  const written = [];
+  for (const game of ranked) {
+    written.push(mapToSchema(await generateRecap(game, knownTeams), TEAMS));
+  }
+  const processedGames = applyGameOverrides(written, overrides);
 
   // Generate opinions and what's next
-  const opinions = generateOpinions(ranked);
-  const whatsNext = generateWhatsNext(WEEK);
+  // (the postseason compares against the whole regular season)
+  const seasonWeek = SEASON_TYPE === 'postseason' ? SeasonCalendar.FORMATS[SCOPE].last_week + 1 : WEEK;
+  const seasonGames = await callOptional('fetchSeasonGames', 'Season results', { season: SEASON, week: seasonWeek, scope: SCOPE }, []);
+  const opinions = mergeOpinions(generateOpinions(games, seasonGames, { scope: SCOPE }), overrides);
+  const whatsNext = mergeWhatsNext(await generateWhatsNext(SEASON, WEEK, SCOPE, SEASON_TYPE, ranks), overrides);
+
+  // Credit the model when it wrote any of the recaps
+  const sources = [provider.source];
+  if (writerRecaps > 0) {
+    sources.push(`${WRITER.name}:${WRITER_OPTIONS.model || 'local'}`);
+  }
 
   // Assemble final data
   const draft = {
     meta: {
       season: SEASON,
       week: WEEK,
+      season_type: SEASON_TYPE,
+      label,
       scope: SCOPE,
       generated_at: new Date().toISOString(),
-      sources: [`cfbd:v1 games/box; rankings/v1`]
+      sources,
+      ranking: annotateRanking(explainRanking(scored, ranked), overrides)
     },
     top_games: processedGames,
     quick_opinions: opinions,
-    whats_next: whatsNext
+    whats_next: whatsNext,
+    // Every result, for readers following teams outside the top 5
+    all_games: compactResults(games)
   };
 
+  // Conference (division) races from the season so far; the postseason has none
+  if (SEASON_TYPE !== 'postseason') {
+    const before = computeStandings(seasonGames, STANDINGS);
+    draft.race = raceSummary(before, computeStandings([...seasonGames, ...games], STANDINGS), STANDINGS);
+  }
+
+  // Each top game's box score, scoring summary, ranks and records go in its
+  // own file, loaded only when a reader opens the game
+  const records = await callOptional('fetchRecords', 'Records', options, {});
+  const details = [];
+  for (const game of draft.top_games) {
+    const gameId = game.ids.game_id;
+    const source = ranked.find(g => String(g.id) === String(gameId));
+    if (!source || !gameId) continue;
+
+    const detail = gameDetail(source, game, draft.meta, records);
+    const problems = validateDetail(detail);
+    if (problems.length > 0) {
+      console.warn(`⚠️  No detail file for ${game.away.name} at ${game.home.name}: ${formatErrors(problems).join('; ')}`);
+      continue;
+    }
+    game.detail = detailPath(SCOPE, SEASON, gameId);
+    details.push({ path: game.detail, detail });
+  }
+
+  // Never write a draft the app would refuse
+  const errors = validateDraft(draft);
+  if (errors.length > 0) {
+    console.error('❌ Draft failed validation:');
+    for (const line of formatErrors(errors)) {
+      console.error(`   ${line}`);
+    }
+    process.exit(1);
+  }
+
+  // Text that contradicts the game data (usually hand-written overrides) is
+  // flagged for the reviewer, not fatal; `npm run check:facts` fails on it
+  const factProblems = checkDraftFacts(draft, { teams: Object.keys(TEAMS.teams) });
+  for (const problem of factProblems) {
+    console.warn(`⚠️  Fact check: ${problem.path} ${problem.message}`);
+  }
+
   // Write to file
+  // Each season gets its own folder; postseason rounds get their own files (post_01.json, ...)
+  const prefix = SEASON_TYPE === 'postseason' ? 'post' : 'week';
   const weekStr = String(WEEK).padStart(2, '0');
-  const outputPath = join(__dirname, '..', 'data', SCOPE, `week_${weekStr}.json`);
+  const fileName = `${prefix}_${weekStr}.json`;
+  const outputDir = join(__dirname, '..', 'data', SCOPE, String(SEASON));
+  const outputPath = join(outputDir, fileName);
   
   // Ensure directory exists
-  mkdirSync(join(__dirname, '..', 'data', SCOPE), { recursive: true });
+  mkdirSync(outputDir, { recursive: true });
   
   writeFileSync(outputPath, JSON.stringify(draft, null, 2));
   console.log(`✅ Draft saved to ${outputPath}`);
+
+  if (details.length > 0) {
+    mkdirSync(join(outputDir, 'games'), { recursive: true });
+    for (const { path, detail } of details) {
+      writeFileSync(join(__dirname, '..', path), JSON.stringify(detail, null, 2));
+    }
+    console.log(`✅ Wrote ${details.length} game details to ${join(outputDir, 'games')}`);
+  }
+
+  // List the draft in data/index.json so the app can offer it
+  const manifest = upsertEntry(loadManifest(), SCOPE, manifestEntry(draft, `/data/${SCOPE}/${SEASON}/${fileName}`));
+  saveManifest(manifest);
+  console.log('📇 Updated data/index.json');
 }
 
 // Run generator
@@ -0,0 +1,10 @@
+/**
+ * Season calendar for Node scripts
+ * Same module the app loads (assets/calendar.js), required as CommonJS
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+export const SeasonCalendar = require('../../assets/calendar.js');
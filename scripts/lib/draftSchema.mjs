@@ -0,0 +1,50 @@
+/**
+ * Draft schema for Node scripts
+ * assets/schema.js is a classic browser script; assets/package.json marks
+ * the folder as CommonJS so it can be required here unchanged.
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const DraftSchema = require('../../assets/schema.js');
+
+/**
+ * Validate a draft object
+ * @param {Object} draft - Draft as written to data/{scope}/week_NN.json
+ * @returns {Array} [{ path, message }], empty when valid
+ */
+export function validateDraft(draft) {
+  return DraftSchema.validate(draft);
+}
+
+/**
+ * Validate a week's overrides file
+ * @param {Object} overrides - Parsed data/{scope}/{season}/week_NN.overrides.json
+ * @returns {Array} [{ path, message }], empty when valid
+ */
+export function validateOverrides(overrides) {
+  return DraftSchema.validate(overrides, DraftSchema.overridesSchema);
+}
+
+/**
+ * Validate a game detail file
+ * @param {Object} detail - Parsed data/{scope}/{season}/games/{game_id}.json
+ * @returns {Array} [{ path, message }], empty when valid
+ */
+export function validateDetail(detail) {
+  return DraftSchema.validate(detail, DraftSchema.detailSchema);
+}
+
+/**
+ * One line per error ("/top_games/0/final must match ...")
+ * @param {Array} errors - Output of validateDraft
+ * @returns {Array} Strings
+ */
+export function formatErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`);
+}
+
+export const DRAFT_SCHEMA = DraftSchema.schema;
+export const OVERRIDES_SCHEMA = DraftSchema.overridesSchema;
+export const DETAIL_SCHEMA = DraftSchema.detailSchema;
@@ -0,0 +1,293 @@
+/**
+ * Fact check for game text
+ * Parses scores, team names, quarter scores and numeric claims out of
+ * recap_2s, one_stat and why_it_mattered and compares them with the game's
+ * final score and box data. Claims the data contradicts are errors; claims
+ * the draft has no data for are warnings.
+ */
+
+export const TEXT_FIELDS = ['recap_2s', 'one_stat', 'why_it_mattered'];
+
+const QUARTER_WORDS = { first: 1, second: 2, third: 3, fourth: 4, final: 4, one: 1, two: 2, three: 3 };
+
+// Text right after a score that pins it to a quarter break ("led 24–14 entering the fourth quarter")
+const AFTER_QUARTERS = [
+  [/^,?\s*(?:at|by) (?:the )?half(?:time)?\b/i, () => 2],
+  [/^,?\s*(?:entering|going into|heading into) the (second|third|fourth|final) quarter\b/i, match => QUARTER_WORDS[match[1].toLowerCase()] - 1],
+  [/^,?\s*after (one|two|three) quarters\b/i, match => QUARTER_WORDS[match[1].toLowerCase()]],
+  [/^,?\s*(?:after|at the end of) the (first|second|third) quarter\b/i, match => QUARTER_WORDS[match[1].toLowerCase()]]
+];
+
+// ...or to a single quarter ("outscoring them 10–3 in the fourth quarter")
+const IN_QUARTER = /^,?\s*in the (first|second|third|fourth|final) quarter\b/i;
+
+// Outcome verbs that only the winner (or only the loser) can be the subject of
+const WINNER_VERBS = 'beat|defeated|edged|topped|routed|upset|held off|outlasted|survived|won';
+const LOSER_VERBS = 'lost|fell';
+
+/**
+ * Everything the text can be checked against, from a draft game
+ * @private
+ */
+function gameData(game) {
+  const [home, away] = String(game.final).split(/[–-]/).map(Number);
+  const box = game.box || {};
+  const names = { home: game.home.name, away: game.away.name };
+  const winner = home > away ? 'home' : away > home ? 'away' : null;
+  const byQuarter = sides => sides
+    ? sides.home.slice(0, Math.min(sides.home.length, sides.away.length)).map((points, i) => [points, sides.away[i]])
+    : null;
+
+  const quarters = byQuarter(box.line_scores);
+  const running = quarters && quarters.reduce((totals, [h, a]) => {
+    const [th, ta] = totals.length ? totals[totals.length - 1] : [0, 0];
+    return [...totals, [th + h, ta + a]];
+  }, []);
+
+  const stats = box.stats || null;
+  const statPairs = stats
+    ? Object.keys(stats.home).filter(key => typeof stats.away[key] === 'number').map(key => [stats.home[key], stats.away[key]])
+    : [];
+
+  return {
+    names,
+    final: [home, away],
+    winner: winner && names[winner],
+    loser: winner && names[winner === 'home' ? 'away' : 'home'],
+    winnerSide: winner,
+    margin: Math.abs(home - away),
+    total: home + away,
+    periods: box.periods ?? (quarters ? quarters.length : null),
+    quarters,
+    running,
+    quarterYards: byQuarter(box.quarter_yards),
+    stats,
+    statPairs,
+    spread: typeof box.spread === 'number' ? Math.abs(box.spread) : null,
+    deficits: box.largest_deficit || null,
+    leadChanges: box.lead_changes ?? null
+  };
+}
+
+/**
+ * Same two numbers, in either order
+ * @private
+ */
+function samePair(a, b) {
+  return pair => Boolean(pair) && ((pair[0] === a && pair[1] === b) || (pair[0] === b && pair[1] === a));
+}
+
+/**
+ * "after 3 quarters" / "at halftime"
+ * @private
+ */
+function quarterBreak(count) {
+  return count === 2 ? 'at halftime' : `after ${count} quarter${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check one score mention against the game
+ * @private
+ */
+function checkScore(a, b, after, data) {
+  const same = samePair(a, b);
+  const said = `${a}–${b}`;
+
+  for (const [pattern, quartersOf] of AFTER_QUARTERS) {
+    const match = after.match(pattern);
+    if (!match) continue;
+
+    const count = quartersOf(match);
+    const score = data.running?.[count - 1];
+    if (!score) {
+      return { level: 'warning', message: `says ${said} ${quarterBreak(count)}, but the draft has no line score to check it` };
+    }
+    return same(score) ? null : { level: 'error', message: `says ${said} ${quarterBreak(count)}, but it was ${score[0]}–${score[1]}` };
+  }
+
+  const inQuarter = after.match(IN_QUARTER);
+  if (inQuarter) {
+    const word = inQuarter[1].toLowerCase();
+    const points = data.quarters?.[QUARTER_WORDS[word] - 1];
+    const yards = data.quarterYards?.[QUARTER_WORDS[word] - 1];
+    if (same(points) || same(yards)) return null;
+    if (!points) {
+      return { level: 'warning', message: `says ${said} in the ${word} quarter, but the draft has no line score to check it` };
+    }
+    return { level: 'error', message: `says ${said} in the ${word} quarter, but that quarter went ${points[0]}–${points[1]}` };
+  }
+
+  if (same(data.final) || data.running?.some(same) || data.quarters?.some(same) ||
+      data.quarterYards?.some(same) || data.statPairs.some(same)) {
+    return null;
+  }
+
+  const final = `${data.final[0]}–${data.final[1]}`;
+  return data.quarters && data.stats
+    ? { level: 'error', message: `mentions ${said}, which isn't the final (${final}) or a score or stat from the game` }
+    : { level: 'warning', message: `mentions ${said}, which isn't the final (${final}) and the draft has no box score to check it` };
+}
+
+/**
+ * Check a "N-point" or "by N points" figure: margin, total, spread or a deficit
+ * @private
+ */
+function checkPointFigure(value, said, data) {
+  const known = [data.margin, data.total, data.spread, data.deficits?.home, data.deficits?.away];
+  if (known.includes(value)) return null;
+
+  return data.deficits && data.spread !== null
+    ? { level: 'error', message: `mentions ${said}, which isn't the margin (${data.margin}), total (${data.total}), spread or a deficit` }
+    : { level: 'warning', message: `mentions ${said}, which isn't the margin (${data.margin}) or total (${data.total}) and the draft has no spread or running score to check it` };
+}
+
+/**
+ * Every claim problem in one line of text
+ * @private
+ */
+function checkText(text, data, others) {
+  const problems = [];
+  const add = problem => problem && problems.push(problem);
+
+  for (const match of text.matchAll(/\b(\d+)\s*[–-]\s*(\d+)\b/g)) {
+    add(checkScore(Number(match[1]), Number(match[2]), text.slice(match.index + match[0].length), data));
+  }
+
+  for (const match of text.matchAll(/\b(\d+(?:\.\d+)?)-point\b|\bby (\d+(?:\.\d+)?) points?\b/gi)) {
+    add(checkPointFigure(Number(match[1] ?? match[2]), match[0], data));
+  }
+
+  for (const [, value] of text.matchAll(/\bwon by (\d+)\b(?! (?:yards|turnovers))/gi)) {
+    if (Number(value) !== data.margin) {
+      add({ level: 'error', message: `says won by ${value}, but the margin was ${data.margin}` });
+    }
+  }
+
+  for (const match of text.matchAll(/\bcombined (\d+) points\b|\b(\d+) combined points\b/gi)) {
+    const value = Number(match[1] ?? match[2]);
+    if (value !== data.total) {
+      add({ level: 'error', message: `says ${value} combined points, but the total was ${data.total}` });
+    }
+  }
+
+  for (const [, value] of text.matchAll(/\b(\d+) periods\b/gi)) {
+    if (data.periods === null) {
+      add({ level: 'warning', message: `says ${value} periods, but the draft doesn't record how many were played` });
+    } else if (Number(value) !== data.periods) {
+      add({ level: 'error', message: `says ${value} periods, but ${data.periods} were played` });
+    }
+  }
+
+  if (/\bovertimes?\b/i.test(text) && data.periods === 4) {
+    add({ level: 'error', message: 'mentions overtime, but the game ended in regulation' });
+  }
+
+  for (const [, value] of text.matchAll(/\b(\d+) lead changes\b/gi)) {
+    if (data.leadChanges === null) {
+      add({ level: 'warning', message: `says ${value} lead changes, but the draft has no running score to check it` });
+    } else if (Number(value) !== data.leadChanges) {
+      add({ level: 'error', message: `says ${value} lead changes, but there were ${data.leadChanges}` });
+    }
+  }
+
+  for (const [, value] of text.matchAll(/\bturnover margin ([-+−]?\d+)/gi)) {
+    const said = Number(value.replace('−', '-'));
+    const turnovers = data.stats && typeof data.stats.home.turnovers === 'number' ? data.stats : null;
+    if (!turnovers || !data.winnerSide) {
+      add({ level: 'warning', message: `says turnover margin ${value}, but the draft has no turnovers to check it` });
+      continue;
+    }
+    const loserSide = data.winnerSide === 'home' ? 'away' : 'home';
+    const actual = turnovers[loserSide].turnovers - turnovers[data.winnerSide].turnovers;
+    if (said !== actual) {
+      add({ level: 'error', message: `says turnover margin ${value}, but it was ${actual > 0 ? '+' : ''}${actual} for ${data.winner}` });
+    }
+  }
+
+  for (const [, value, kind] of text.matchAll(/\b(\d+) (total|rushing|passing) yards\b/gi)) {
+    const key = `${kind.toLowerCase()}_yards`;
+    const yards = data.stats && typeof data.stats.home[key] === 'number' ? [data.stats.home[key], data.stats.away[key]] : null;
+    if (!yards) {
+      add({ level: 'warning', message: `says ${value} ${kind} yards, but the draft has no box score to check it` });
+    } else if (!yards.includes(Number(value))) {
+      add({ level: 'error', message: `says ${value} ${kind} yards, but the teams had ${yards[0]} and ${yards[1]}` });
+    }
+  }
+
+  // Take the two teams out first so "Texas" isn't found inside "Texas Tech"
+  const playing = [data.names.home, data.names.away];
+  const rest = playing.reduce((remaining, name) => remaining.split(name).join(' '), text);
+  for (const team of others) {
+    if (new RegExp(`(^|[^\\w])${escapeRegExp(team)}(?![\\w])`).test(rest)) {
+      add({ level: 'error', message: `mentions ${team}, who didn't play in this game` });
+    }
+  }
+
+  if (data.winner) {
+    const loser = escapeRegExp(data.loser);
+    const winner = escapeRegExp(data.winner);
+    if (new RegExp(`${loser},? (?:${WINNER_VERBS})\\b`).test(text) || new RegExp(`${winner},? (?:${LOSER_VERBS})\\b`).test(text)) {
+      add({ level: 'error', message: `gets the winner wrong (${data.winner} won ${Math.max(...data.final)}–${Math.min(...data.final)})` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check one game's text against its data
+ * @param {Object} game - Draft top game ({ home, away, final, box })
+ * @param {Object} [options] - {
+ *   fields: text to check (defaults to the game's own recap_2s, one_stat, why_it_mattered),
+ *   teams: team names the text must not mention unless they played,
+ *   path: prefix for problem paths (e.g. "/top_games/0")
+ * }
+ * @returns {Array} [{ path, level: 'error'|'warning', message }]
+ */
+export function checkGameText(game, { fields = game, teams = [], path = '' } = {}) {
+  const data = gameData(game);
+  const others = [...new Set(teams)].filter(team =>
+    team && ![data.names.home, data.names.away].some(name => name === team || name.includes(team)));
+  const problems = [];
+
+  for (const field of TEXT_FIELDS) {
+    const text = fields[field];
+    if (typeof text !== 'string' || !text) continue;
+
+    for (const problem of checkText(text, data, others)) {
+      problems.push({ path: `${path}/${field}`, ...problem });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check every top game's text in a draft
+ * @param {Object} draft - Parsed draft
+ * @param {Object} [options] - { teams } extra team names (e.g. the scope's registry);
+ *   every team in the draft's top games is always included
+ * @returns {Array} [{ path, level, message }], e.g. path "/top_games/2/recap_2s"
+ */
+export function checkDraftFacts(draft, { teams = [] } = {}) {
+  const games = draft.top_games || [];
+  const known = [...teams, ...games.flatMap(game => [game.home?.name, game.away?.name])];
+
+  return games.flatMap((game, i) => checkGameText(game, { teams: known, path: `/top_games/${i}` }));
+}
+
+/**
+ * One line per problem ("/top_games/0/recap_2s mentions 30–3, ...")
+ * @param {Array} problems - Output of checkDraftFacts or checkGameText
+ * @returns {Array} Strings
+ */
+export function formatProblems(problems) {
+  return problems.map(problem => `${problem.path} ${problem.message}`);
+}
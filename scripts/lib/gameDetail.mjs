@@ -0,0 +1,90 @@
+/**
+ * Game detail files
+ * The line score, team stats, scoring summary, ranks and records behind a
+ * top game, written to data/{scope}/{season}/games/{game_id}.json so the
+ * app loads them only when a reader opens the game
+ */
+
+/**
+ * Site path of a game's detail file
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @param {number} season - Season year
+ * @param {string|number} gameId - ids.game_id
+ * @returns {string} '/data/cfb/2025/games/401752673.json'
+ */
+export function detailPath(scope, season, gameId) {
+  return `/data/${scope}/${season}/games/${String(gameId).replace(/[^A-Za-z0-9_-]/g, '-')}.json`;
+}
+
+/**
+ * Home/away pair of the values that pass a check, or null if neither does
+ * @private
+ */
+function bySide(home, away, keep) {
+  const pair = {};
+  if (keep(home)) pair.home = home;
+  if (keep(away)) pair.away = away;
+  return Object.keys(pair).length > 0 ? pair : null;
+}
+
+/**
+ * Detail for one top game
+ * @param {Object} game - Ranked game after attachDetails
+ * @param {Object} draftGame - The game as written to the draft (teams, final)
+ * @param {Object} meta - Draft meta
+ * @param {Object} records - { [team]: { wins, losses, ties } } from the provider
+ * @returns {Object} See DraftSchema.detailSchema
+ */
+export function gameDetail(game, draftGame, meta, records = {}) {
+  const detail = {
+    game_id: String(game.id),
+    scope: meta.scope,
+    season: meta.season,
+    season_type: meta.season_type,
+    week: meta.week,
+    label: meta.label,
+    home: draftGame.home,
+    away: draftGame.away,
+    final: draftGame.final
+  };
+
+  const kickoff = new Date(game.start_date);
+  if (game.start_date && !isNaN(kickoff)) detail.kickoff = kickoff.toISOString();
+  if (game.neutral_site) detail.neutral = true;
+  if (game.notes) detail.notes = game.notes;
+  if (game.periods) detail.periods = game.periods;
+
+  const ranks = bySide(game.home_rank, game.away_rank, rank => Number.isInteger(rank) && rank > 0);
+  if (ranks) detail.ranks = ranks;
+
+  const recordOf = record => record ? { wins: record.wins, losses: record.losses, ties: record.ties || 0 } : null;
+  const teamRecords = bySide(
+    recordOf(game.home_record || records[game.home_team]),
+    recordOf(game.away_record || records[game.away_team]),
+    Boolean
+  );
+  if (teamRecords) detail.records = teamRecords;
+
+  if (game.line_scores?.home && game.line_scores?.away) {
+    detail.line_scores = { home: [...game.line_scores.home], away: [...game.line_scores.away] };
+  }
+
+  // Counts and text stats ("5-15" on third down, "31:05" possession) alike
+  if (game.team_stats?.home && game.team_stats?.away) {
+    const shown = stats => Object.fromEntries(Object.entries(stats).filter(([, value]) =>
+      typeof value === 'number' || (typeof value === 'string' && value !== '')));
+    detail.team_stats = { home: shown(game.team_stats.home), away: shown(game.team_stats.away) };
+  }
+
+  detail.scoring_plays = (game.scoring_plays || []).map(play => ({
+    period: play.period,
+    ...(play.clock && { clock: String(play.clock) }),
+    team: play.team,
+    ...(play.type && { type: play.type }),
+    ...(play.text && { text: play.text }),
+    home_score: play.home_score,
+    away_score: play.away_score
+  }));
+
+  return detail;
+}
@@ -0,0 +1,145 @@
+/**
+ * Game facts derived from box scores, line scores and scoring plays
+ * Every fact is computed from provider data; missing data leaves it null
+ */
+
+/**
+ * Opposite side of a game
+ * @private
+ */
+function otherSide(side) {
+  return side === 'home' ? 'away' : 'home';
+}
+
+/**
+ * Pick a stat for winner and loser, or null if either side lacks it
+ * @private
+ */
+function pair(bySide, winner, key) {
+  const w = key ? bySide?.[winner]?.[key] : bySide?.[winner];
+  const l = key ? bySide?.[otherSide(winner)]?.[key] : bySide?.[otherSide(winner)];
+  if (typeof w !== 'number' || typeof l !== 'number') return null;
+  return { winner: w, loser: l };
+}
+
+/**
+ * Largest deficit each side faced, from the running score
+ * @private
+ */
+function largestDeficits(scoringPlays) {
+  const deficits = { home: 0, away: 0 };
+
+  for (const play of scoringPlays) {
+    const diff = play.home_score - play.away_score;
+    if (diff < 0) deficits.home = Math.max(deficits.home, -diff);
+    if (diff > 0) deficits.away = Math.max(deficits.away, diff);
+  }
+
+  return deficits;
+}
+
+/**
+ * Largest deficit a side faced during the game
+ * Uses scoring plays when present, otherwise quarter-break line scores
+ * @param {Object} game - Normalized game
+ * @param {string} side - 'home' or 'away'
+ * @returns {number} Points behind at the worst moment (0 if never trailed)
+ */
+export function largestDeficit(game, side) {
+  if (game.scoring_plays?.length) {
+    return largestDeficits(game.scoring_plays)[side];
+  }
+
+  const lines = game.line_scores;
+  if (!lines?.home || !lines?.away) return 0;
+
+  const running = [];
+  let home = 0;
+  let away = 0;
+  for (let i = 0; i < Math.min(lines.home.length, lines.away.length); i++) {
+    home += lines.home[i];
+    away += lines.away[i];
+    running.push({ home_score: home, away_score: away });
+  }
+
+  return largestDeficits(running)[side];
+}
+
+/**
+ * Number of times the lead changed hands
+ * @private
+ */
+function countLeadChanges(scoringPlays) {
+  let leader = null;
+  let changes = 0;
+
+  for (const play of scoringPlays) {
+    const diff = play.home_score - play.away_score;
+    const current = diff > 0 ? 'home' : diff < 0 ? 'away' : null;
+    if (current && leader && current !== leader) changes++;
+    if (current) leader = current;
+  }
+
+  return changes;
+}
+
+/**
+ * Compute recap facts for a ranked game, from the winner's point of view
+ * @param {Object} game - Ranked game with optional box-score details
+ * @returns {Object} Facts; unknown values are null
+ */
+export function computeFacts(game) {
+  const winner = game._winner;
+  const stats = game.team_stats;
+  const plays = game.scoring_plays || [];
+  const lines = game.line_scores;
+  const quarterYards = game.quarter_yards;
+
+  const turnovers = pair(stats, winner, 'turnovers');
+
+  return {
+    winner,
+    loser: otherSide(winner),
+    turnovers,
+    turnover_margin: turnovers ? turnovers.loser - turnovers.winner : null,
+    total_yards: pair(stats, winner, 'total_yards'),
+    rushing_yards: pair(stats, winner, 'rushing_yards'),
+    passing_yards: pair(stats, winner, 'passing_yards'),
+    deficit_overcome: plays.length ? largestDeficit(game, winner) : null,
+    lead_changes: plays.length ? countLeadChanges(plays) : null,
+    q4_points: lines ? pair({ home: lines.home?.[3], away: lines.away?.[3] }, winner) : null,
+    q4_yards: quarterYards ? pair({ home: quarterYards.home?.[3], away: quarterYards.away?.[3] }, winner) : null
+  };
+}
+
+/**
+ * The game data a draft keeps for fact-checking its text (see factCheck.mjs)
+ * Home/away oriented; fields without provider data are left out
+ * @param {Object} game - Ranked game with optional box-score details
+ * @returns {Object} { periods, spread, line_scores, quarter_yards, stats,
+ *   largest_deficit, lead_changes }
+ */
+export function boxScore(game) {
+  const box = {};
+  const plays = game.scoring_plays || [];
+
+  if (game.periods) box.periods = game.periods;
+  if (typeof game.spread === 'number') box.spread = game.spread;
+  if (game.line_scores?.home && game.line_scores?.away) {
+    box.line_scores = { home: [...game.line_scores.home], away: [...game.line_scores.away] };
+  }
+  if (game.quarter_yards?.home && game.quarter_yards?.away) {
+    box.quarter_yards = { home: [...game.quarter_yards.home], away: [...game.quarter_yards.away] };
+  }
+  if (game.team_stats?.home && game.team_stats?.away) {
+    const numbers = stats => Object.fromEntries(Object.entries(stats).filter(([, value]) => typeof value === 'number'));
+    box.stats = { home: numbers(game.team_stats.home), away: numbers(game.team_stats.away) };
+  }
+  // Deficits and lead changes need the running score, not just quarter totals
+  if (plays.length) {
+    box.largest_deficit = largestDeficits(plays);
+    box.lead_changes = countLeadChanges(plays);
+  }
+
+  return box;
+}
@@ -0,0 +1,75 @@
+/**
+ * Draft index (data/index.json)
+ * Lists each scope's drafts so the app only offers weeks that exist
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+
+export const MANIFEST_PATH = join(ROOT, 'data', 'index.json');
+
+/**
+ * Load the index, or an empty one if it doesn't exist yet
+ * @returns {Object} { updated_at, scopes: { [scope]: [entry] } }
+ */
+export function loadManifest() {
+  if (!existsSync(MANIFEST_PATH)) {
+    return { updated_at: null, scopes: {} };
+  }
+  return JSON.parse(readFileSync(MANIFEST_PATH, 'utf8'));
+}
+
+/**
+ * Write the index back to disk
+ * @param {Object} manifest - Index object
+ */
+export function saveManifest(manifest) {
+  manifest.updated_at = new Date().toISOString();
+  writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Index entry for a draft
+ * @param {Object} draft - Draft as written to disk
+ * @param {string} path - Site path of the draft ("/data/cfb/week_01.json")
+ * @returns {Object} { season, season_type, week, label, path, generated_at, headline }
+ */
+export function manifestEntry(draft, path) {
+  const meta = draft.meta;
+  const top = draft.top_games[0];
+
+  return {
+    season: meta.season,
+    season_type: meta.season_type || 'regular',
+    week: meta.week,
+    label: meta.label || `Week ${meta.week}`,
+    path,
+    generated_at: meta.generated_at,
+    headline: top ? {
+      match: `${top.away.name} at ${top.home.name}`,
+      final: top.final,
+      game_id: String(top.ids?.game_id ?? '')
+    } : null
+  };
+}
+
+/**
+ * Add or replace a draft's entry, keeping each scope newest first
+ * @param {Object} manifest - Index object
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @param {Object} entry - Output of manifestEntry
+ * @returns {Object} The manifest
+ */
+export function upsertEntry(manifest, scope, entry) {
+  const entries = (manifest.scopes[scope] || []).filter(e => e.path !== entry.path);
+  entries.push(entry);
+
+  // Season, then postseason after the regular season, then week
+  const order = e => e.season * 1000 + (e.season_type === 'postseason' ? 100 : 0) + e.week;
+  manifest.scopes[scope] = entries.sort((a, b) => order(b) - order(a));
+  return manifest;
+}
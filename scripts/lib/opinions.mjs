@@ -0,0 +1,207 @@
+/**
+ * Quick Opinions engine
+ * Computes week-level trends across every completed game and fills
+ * opinion templates with the numbers. Each opinion carries the stat
+ * behind it so the app can show it on tap.
+ */
+
+// Typical rates used to judge whether a week stood out
+const BASELINES = {
+  cfb: { home_win_rate: 0.6, one_score_share: 0.3 },
+  nfl: { home_win_rate: 0.55, one_score_share: 0.45 }
+};
+
+const ONE_SCORE = 8;
+
+/**
+ * Share as a whole percent ("75%")
+ * @private
+ */
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Completed games with both scores
+ * @private
+ */
+function completedGames(games) {
+  return games.filter(g => g.completed && g.home_points !== null && g.away_points !== null);
+}
+
+/**
+ * Points per team per game
+ * @private
+ */
+function pointsPerTeam(games) {
+  if (games.length === 0) return null;
+  const total = games.reduce((sum, g) => sum + g.home_points + g.away_points, 0);
+  return total / (games.length * 2);
+}
+
+/**
+ * Home teams' record in decided games
+ * @private
+ */
+function homeWinRate(games, baseline) {
+  const decided = games.filter(g => g.home_points !== g.away_points && !g.neutral_site);
+  if (decided.length < 4) return null;
+
+  const wins = decided.filter(g => g.home_points > g.away_points).length;
+  const losses = decided.length - wins;
+  const rate = wins / decided.length;
+  const stat = {
+    label: 'Home teams',
+    value: `${wins}-${losses}`,
+    detail: `${percent(rate)} of ${decided.length} non-neutral games`
+  };
+
+  const text = rate >= baseline
+    ? `Home field earned its keep: home teams went ${wins}-${losses}, a ${percent(rate)} win rate against a typical ${percent(baseline)}.`
+    : `Road teams took ${losses} of ${decided.length} games; home teams won just ${percent(rate)}, under the typical ${percent(baseline)}.`;
+
+  return { key: 'home_win_rate', interest: Math.abs(rate - baseline) * 10, text, stat };
+}
+
+/**
+ * Share of games decided by one score
+ * @private
+ */
+function oneScoreShare(games, baseline) {
+  if (games.length < 4) return null;
+
+  const close = games.filter(g => Math.abs(g.home_points - g.away_points) <= ONE_SCORE).length;
+  const share = close / games.length;
+  const stat = {
+    label: 'One-score games',
+    value: `${close} of ${games.length}`,
+    detail: `${percent(share)}, margin of ${ONE_SCORE} or less`
+  };
+
+  const text = share >= baseline
+    ? `${close} of ${games.length} games (${percent(share)}) came down to one score; late-game execution decided more results than usual.`
+    : `Only ${close} of ${games.length} games (${percent(share)}) were one-score finishes; most results were settled before the fourth quarter.`;
+
+  return { key: 'one_score_share', interest: Math.abs(share - baseline) * 10, text, stat };
+}
+
+/**
+ * Scoring this week against the season to date
+ * @private
+ */
+function scoringTrend(games, seasonGames) {
+  const week = pointsPerTeam(games);
+  const season = pointsPerTeam(seasonGames);
+  if (week === null || season === null || games.length < 4) return null;
+
+  const diff = week - season;
+  const stat = {
+    label: 'Points per team',
+    value: week.toFixed(1),
+    detail: `${season.toFixed(1)} season to date (${seasonGames.length} games)`
+  };
+
+  const text = diff >= 0
+    ? `Offenses were ahead this week: teams averaged ${week.toFixed(1)} points, up ${diff.toFixed(1)} from ${season.toFixed(1)} season to date.`
+    : `Defenses had the upper hand: teams averaged ${week.toFixed(1)} points, down ${Math.abs(diff).toFixed(1)} from ${season.toFixed(1)} season to date.`;
+
+  return { key: 'scoring_trend', interest: Math.abs(diff) / 2, text, stat };
+}
+
+/**
+ * Ranked teams against unranked opponents
+ * @private
+ */
+function rankedVsUnranked(games) {
+  const mixed = games.filter(g => Boolean(g.home_rank) !== Boolean(g.away_rank) && g.home_points !== g.away_points);
+  if (mixed.length === 0) return null;
+
+  const wins = mixed.filter(g => {
+    const rankedSide = g.home_rank ? 'home' : 'away';
+    const winner = g.home_points > g.away_points ? 'home' : 'away';
+    return winner === rankedSide;
+  }).length;
+  const losses = mixed.length - wins;
+  const stat = {
+    label: 'Ranked vs unranked',
+    value: `${wins}-${losses}`,
+    detail: `${mixed.length} games with exactly one ranked team`
+  };
+
+  const text = losses === 0
+    ? `Ranked teams held serve, going ${wins}-0 against unranked opponents.`
+    : `Ranked teams went ${wins}-${losses} against unranked opponents; ${losses === 1 ? 'one loss' : `${losses} losses`} will reshuffle the poll.`;
+
+  return { key: 'ranked_vs_unranked', interest: losses * 1.5 + (losses === 0 ? 0.5 : 0), text, stat };
+}
+
+/**
+ * Underdogs against the spread
+ * @private
+ */
+function underdogWins(games) {
+  const lined = games.filter(g => typeof g.spread === 'number' && g.spread !== 0 && g.home_points !== g.away_points);
+  if (lined.length < 4) return null;
+
+  const upsets = lined.filter(g => {
+    const favorite = g.spread < 0 ? 'home' : 'away';
+    const winner = g.home_points > g.away_points ? 'home' : 'away';
+    return winner !== favorite;
+  }).length;
+  const share = upsets / lined.length;
+  const stat = {
+    label: 'Underdog wins',
+    value: `${upsets} of ${lined.length}`,
+    detail: `${percent(share)} of games with a betting line`
+  };
+
+  const text = `Underdogs won ${upsets} of ${lined.length} games with a betting line (${percent(share)}); ${share >= 0.35 ? 'the favorites were shakier than the numbers said' : 'the favorites mostly took care of business'}.`;
+
+  return { key: 'underdog_wins', interest: Math.abs(share - 0.3) * 10, text, stat };
+}
+
+/**
+ * Overtime games
+ * @private
+ */
+function overtimeGames(games) {
+  const overtime = games.filter(g => g.periods > 4).length;
+  if (overtime === 0) return null;
+
+  const stat = {
+    label: 'Overtime games',
+    value: String(overtime),
+    detail: `of ${games.length} completed games`
+  };
+  const text = overtime === 1
+    ? `One game needed overtime this week, out of ${games.length} played.`
+    : `${overtime} games needed overtime this week, out of ${games.length} played.`;
+
+  return { key: 'overtime_games', interest: overtime, text, stat };
+}
+
+/**
+ * Build week-level opinions, most notable first
+ * @param {Array} games - This week's games (with ranks and spreads attached)
+ * @param {Array} seasonGames - Earlier weeks' games
+ * @param {Object} [options] - { scope = 'cfb', count = 4 }
+ * @returns {Array} [{ text, stat: { label, value, detail } }]
+ */
+export function generateOpinions(games, seasonGames = [], { scope = 'cfb', count = 4 } = {}) {
+  const week = completedGames(games);
+  const season = completedGames(seasonGames);
+  const baseline = BASELINES[scope] || BASELINES.cfb;
+
+  return [
+    homeWinRate(week, baseline.home_win_rate),
+    oneScoreShare(week, baseline.one_score_share),
+    scoringTrend(week, season),
+    rankedVsUnranked(week),
+    underdogWins(week),
+    overtimeGames(week)
+  ]
+    .filter(Boolean)
+    .sort((a, b) => b.interest - a.interest)
+    .slice(0, count)
+    .map(({ text, stat }) => ({ text, stat }));
+}
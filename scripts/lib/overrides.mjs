@@ -0,0 +1,146 @@
+/**
+ * Editor overrides (data/{scope}/{season}/week_NN.overrides.json)
+ * Hand edits live beside the draft and are merged on every run, so
+ * regenerating a week never loses them
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { validateOverrides, formatErrors } from './draftSchema.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+
+// Game fields an override may replace
+const GAME_FIELDS = ['recap_2s', 'one_stat', 'why_it_mattered', 'tags'];
+
+/**
+ * Overrides file path for a week
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @param {number} season - Season year
+ * @param {string} seasonType - 'regular' or 'postseason'
+ * @param {number} week - Week or round number
+ * @returns {string}
+ */
+export function overridesPath(scope, season, seasonType, week) {
+  const prefix = seasonType === 'postseason' ? 'post' : 'week';
+  const weekStr = String(week).padStart(2, '0');
+  return join(ROOT, 'data', scope, String(season), `${prefix}_${weekStr}.overrides.json`);
+}
+
+/**
+ * Load a week's overrides, or empty ones if the file doesn't exist
+ * @param {string} path - Output of overridesPath
+ * @returns {Object} { pin, exclude, order, games, opinions, replace_opinions, whats_next }
+ * @throws {Error} When the file isn't valid JSON or doesn't match the schema
+ */
+export function loadOverrides(path) {
+  const empty = { pin: [], exclude: [], order: [], games: {}, opinions: [], replace_opinions: false, whats_next: null };
+  if (!existsSync(path)) return empty;
+
+  const overrides = JSON.parse(readFileSync(path, 'utf8'));
+  const errors = validateOverrides(overrides);
+  if (errors.length > 0) {
+    throw new Error(`Invalid overrides in ${path}:\n   ${formatErrors(errors).join('\n   ')}`);
+  }
+
+  return { ...empty, ...overrides };
+}
+
+/**
+ * Whether an overrides object changes anything
+ */
+export function hasOverrides(overrides) {
+  return overrides.pin.length > 0 || overrides.exclude.length > 0 || overrides.order.length > 0 ||
+    Object.keys(overrides.games).length > 0 || overrides.opinions.length > 0 || overrides.replace_opinions ||
+    overrides.whats_next !== null;
+}
+
+/**
+ * Pick the top games: drop excluded games, put pinned games first (in pin
+ * order), fill up to topN by rank, then apply the editor's order
+ * @param {Array} ranked - Output of rankGames, best first
+ * @param {Object} overrides - Output of loadOverrides
+ * @param {number} topN - Games per draft (pinned games may exceed it)
+ * @returns {Object} { selected, unknown } where unknown lists game IDs the
+ *   overrides name that aren't completed games this week
+ */
+export function selectGames(ranked, overrides, topN) {
+  const byId = new Map(ranked.map(game => [String(game.id), game]));
+  const excluded = new Set(overrides.exclude);
+
+  const pinned = overrides.pin
+    .filter(id => !excluded.has(id))
+    .map(id => byId.get(id))
+    .filter(Boolean);
+  const rest = ranked.filter(game => !excluded.has(String(game.id)) && !pinned.includes(game));
+  const selected = [...pinned, ...rest.slice(0, Math.max(topN - pinned.length, 0))];
+
+  // Listed games first in the editor's order; the rest keep their place
+  if (overrides.order.length > 0) {
+    const position = game => {
+      const i = overrides.order.indexOf(String(game.id));
+      return i >= 0 ? i : overrides.order.length;
+    };
+    selected.sort((a, b) => position(a) - position(b));
+  }
+
+  const named = [...overrides.pin, ...overrides.exclude, ...overrides.order, ...Object.keys(overrides.games)];
+  const unknown = [...new Set(named)].filter(id => !byId.has(id));
+
+  return { selected, unknown };
+}
+
+/**
+ * Merge hand-written game fields over the generated ones
+ * @param {Array} topGames - Draft top_games
+ * @param {Object} overrides - Output of loadOverrides
+ * @returns {Array} New top_games
+ */
+export function applyGameOverrides(topGames, overrides) {
+  return topGames.map(game => {
+    const edits = overrides.games[String(game.ids?.game_id)];
+    if (!edits) return game;
+
+    const merged = { ...game };
+    for (const field of GAME_FIELDS) {
+      if (edits[field] !== undefined) merged[field] = edits[field];
+    }
+    return merged;
+  });
+}
+
+/**
+ * Hand-written opinions first, then the generated ones (unless replaced)
+ * @param {Array} generated - Output of generateOpinions
+ * @param {Object} overrides - Output of loadOverrides
+ * @returns {Array} Quick opinions
+ */
+export function mergeOpinions(generated, overrides) {
+  return overrides.replace_opinions ? [...overrides.opinions] : [...overrides.opinions, ...generated];
+}
+
+/**
+ * The editor's What's Next, when given, in place of the generated one
+ * @param {Array} generated - Output of generateWhatsNext
+ * @param {Object} overrides - Output of loadOverrides
+ * @returns {Array} What's Next rows
+ */
+export function mergeWhatsNext(generated, overrides) {
+  return overrides.whats_next ? [...overrides.whats_next] : generated;
+}
+
+/**
+ * Mark pinned and excluded games in the ranking breakdown
+ * @param {Array} ranking - Output of explainRanking
+ * @param {Object} overrides - Output of loadOverrides
+ * @returns {Array} Ranking entries, with `override` where an editor stepped in
+ */
+export function annotateRanking(ranking, overrides) {
+  return ranking.map(entry => {
+    if (overrides.exclude.includes(entry.game_id)) return { ...entry, override: 'excluded' };
+    if (overrides.pin.includes(entry.game_id)) return { ...entry, override: 'pinned' };
+    return entry;
+  });
+}
@@ -0,0 +1,159 @@
+/**
+ * Game ranking engine
+ * Scores completed games from a weights config and records why each
+ * game scored what it did, so editors can audit and tune the top 5
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { largestDeficit } from './gameFacts.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = join(__dirname, '..', 'config', 'ranking.json');
+
+/**
+ * Load ranking weights for a scope
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @param {string} [path] - Config file (default: scripts/config/ranking.json)
+ * @returns {Object} { top_n, weights, thresholds, rivalries } with this scope's rivalries
+ */
+export function loadRankingConfig(scope, path = DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(readFileSync(path, 'utf8'));
+  return {
+    top_n: config.top_n || 5,
+    weights: config.weights || {},
+    thresholds: config.thresholds || {},
+    rivalries: config.rivalries?.[scope] || []
+  };
+}
+
+/**
+ * Point-spread upset size (0 when the favorite won)
+ * `spread` is from the home team's view: -7 means home favored by 7
+ */
+export function upsetSize(game, winner) {
+  if (typeof game.spread !== 'number' || game.spread === 0) return 0;
+  const favorite = game.spread < 0 ? 'home' : 'away';
+  return winner === favorite ? 0 : Math.abs(game.spread);
+}
+
+/**
+ * Whether the two teams are listed as rivals
+ */
+export function isRivalry(game, rivalries) {
+  return rivalries.some(([a, b]) =>
+    (a === game.home_team && b === game.away_team) || (a === game.away_team && b === game.home_team)
+  );
+}
+
+/**
+ * Score a single completed game
+ * @param {Object} game - Normalized game (with optional ranks and spread)
+ * @param {Object} config - Output of loadRankingConfig
+ * @returns {Object} { score, parts } where parts maps signal -> points
+ */
+export function scoreGame(game, config) {
+  const w = config.weights;
+  const t = config.thresholds;
+  const parts = {};
+  const add = (signal, points) => {
+    if (points) parts[signal] = Math.round(points * 10) / 10;
+  };
+
+  const homeScore = game.home_points || 0;
+  const awayScore = game.away_points || 0;
+  const scoreDiff = Math.abs(homeScore - awayScore);
+  const totalPoints = homeScore + awayScore;
+  const winner = homeScore > awayScore ? 'home' : 'away';
+  const loser = winner === 'home' ? 'away' : 'home';
+
+  // One-score finish (very exciting)
+  if (scoreDiff <= t.one_score) add('one_score', w.one_score);
+  if (scoreDiff <= t.very_close) add('very_close', w.very_close);
+  if (scoreDiff === 0) add('tie', w.tie);
+
+  // High-scoring shootout
+  if (totalPoints > t.shootout) add('shootout', w.shootout);
+  if (totalPoints > t.big_shootout) add('big_shootout', w.big_shootout);
+
+  if (game.conference_game) add('conference_game', w.conference_game);
+
+  // Overtime games get extra points
+  if (game.periods === 5) add('overtime', w.overtime);
+  if (game.periods > 5) add('multi_overtime', w.multi_overtime);
+
+  if (largestDeficit(game, winner) >= t.comeback) add('comeback', w.comeback);
+
+  // Poll rankings
+  const winnerRank = game[`${winner}_rank`];
+  const loserRank = game[`${loser}_rank`];
+  if (loserRank && (!winnerRank || winnerRank > loserRank)) {
+    add('ranked_loss', w.ranked_loss);
+    if (loserRank <= 10) add('top_ten_loss', w.top_ten_loss);
+  }
+  if (winnerRank && loserRank) add('ranked_vs_ranked', w.ranked_vs_ranked);
+
+  // Betting-line upset, capped so one line can't swamp the rest
+  const upset = upsetSize(game, winner);
+  if (upset >= t.upset_spread) {
+    add('upset', Math.min(upset, t.upset_max_points) * w.upset_per_point);
+  }
+
+  if (isRivalry(game, config.rivalries)) add('rivalry', w.rivalry);
+
+  // Postseason stakes: elimination and title games outrank exhibition bowls
+  if (game.stakes) add('stakes', w[`stakes_${game.stakes}`]);
+
+  const score = Object.values(parts).reduce((sum, points) => sum + points, 0);
+  return { score: Math.round(score * 10) / 10, parts };
+}
+
+/**
+ * Rank games by excitement and importance
+ * @param {Array} games - Array of game objects
+ * @param {Object} config - Output of loadRankingConfig
+ * @returns {Array} All completed games, best first
+ */
+export function rankGames(games, config) {
+  // Filter to completed games only
+  const completed = games.filter(g => g.completed && g.home_points !== null && g.away_points !== null);
+
+  return completed
+    .map(game => {
+      const homeScore = game.home_points || 0;
+      const awayScore = game.away_points || 0;
+      const { score, parts } = scoreGame(game, config);
+
+      game._rankScore = score;
+      game._rankParts = parts;
+      game._scoreDiff = Math.abs(homeScore - awayScore);
+      game._totalPoints = homeScore + awayScore;
+      game._winner = homeScore > awayScore ? 'home' : 'away';
+      return game;
+    })
+    .sort((a, b) => b._rankScore - a._rankScore);
+}
+
+/**
+ * Score breakdown for the draft's meta
+ * @param {Array} ranked - Output of rankGames
+ * @param {Array} selected - Games that made the draft (usually the top N)
+ * @param {number} [runnersUp=3] - Extra games listed below the cut
+ * @returns {Array} [{ game_id, match, score, parts, selected }]
+ */
+export function explainRanking(ranked, selected, runnersUp = 3) {
+  const chosen = new Set(selected);
+  const cut = selected.length + runnersUp;
+
+  // Games picked from below the cut (pinned by an editor) are listed too
+  return ranked
+    .filter((game, i) => i < cut || chosen.has(game))
+    .map(game => ({
+      game_id: String(game.id),
+      match: `${game.away_team} at ${game.home_team}`,
+      score: game._rankScore,
+      parts: game._rankParts,
+      selected: chosen.has(game)
+    }));
+}
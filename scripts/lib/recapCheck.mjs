@@ -0,0 +1,83 @@
+/**
+ * Recap checks: length limits and a fact check against the recap input
+ * Catches writers that run long, get the score wrong, name a team that
+ * wasn't playing or hand the win to the loser
+ */
+
+import { checkGameText } from './factCheck.mjs';
+
+// Per-field limits; sentences counts terminal punctuation
+export const RECAP_LIMITS = {
+  recap_2s: { chars: 280, sentences: 2 },
+  one_stat: { chars: 60, sentences: 1 },
+  why_it_mattered: { chars: 220, sentences: 2 }
+};
+
+// Abbreviations whose period doesn't end a sentence
+const ABBREVIATIONS = /\b(?:No|St|vs|Jr|Sr|Mt|Ft)\./g;
+
+/**
+ * Count sentences in a line of text
+ * @private
+ */
+function countSentences(text) {
+  const stripped = text.replace(ABBREVIATIONS, '').replace(/\d+\.\d+/g, '');
+  const ends = stripped.match(/[.!?]+(?=\s|$)/g) || [];
+  return Math.max(ends.length, stripped.trim() ? 1 : 0);
+}
+
+/**
+ * The recap input as a draft game, for checkGameText
+ * @private
+ */
+function asDraftGame(input) {
+  const points = input.facts.winner === 'home'
+    ? [input.winner.points, input.loser.points]
+    : [input.loser.points, input.winner.points];
+
+  return {
+    home: { name: input.home },
+    away: { name: input.away },
+    final: `${points[0]}–${points[1]}`,
+    box: input.box
+  };
+}
+
+/**
+ * Check a recap against limits and the facts it was written from
+ * Unlike a draft check, a claim the data can't confirm counts as a problem:
+ * a writer should only say what it was given
+ * @param {Object} recap - { recap_2s, one_stat, why_it_mattered }
+ * @param {Object} input - Output of recapInput
+ * @param {Object} [options] - { teams } every team name the text must not
+ *   mention unless it's one of the two playing
+ * @returns {Array} [{ path, message }], empty when the recap passes
+ */
+export function checkRecap(recap, input, { teams = [] } = {}) {
+  const problems = [];
+
+  for (const [field, limit] of Object.entries(RECAP_LIMITS)) {
+    const path = `/${field}`;
+    const text = recap?.[field];
+
+    if (typeof text !== 'string' || !text.trim()) {
+      problems.push({ path, message: 'is empty' });
+      continue;
+    }
+    if (text.length > limit.chars) {
+      problems.push({ path, message: `is ${text.length} characters (limit ${limit.chars})` });
+    }
+    const sentences = countSentences(text);
+    if (sentences > limit.sentences) {
+      problems.push({ path, message: `has ${sentences} sentences (limit ${limit.sentences})` });
+    }
+  }
+
+  for (const { path, message } of checkGameText(asDraftGame(input), { fields: recap || {}, teams })) {
+    problems.push({ path, message });
+  }
+
+  return problems;
+}
+
+export { formatProblems } from './factCheck.mjs';
@@ -0,0 +1,151 @@
+/**
+ * Recap input: the structured facts every recap writer works from
+ * Writers only see this object, so anything they say can be checked
+ * against it (see recapCheck.mjs)
+ */
+
+import { computeFacts, boxScore } from './gameFacts.mjs';
+import { upsetSize } from './ranking.mjs';
+
+// Game shapes, matching the tag thresholds in tags.mjs
+export const SHAPES = {
+  close: 8,
+  blowout: 28,
+  shootout: 70,
+  defensive: 30
+};
+
+/**
+ * Turn computed facts into stat and "why" lines, strongest first
+ * @param {Object} game - Ranked game
+ * @param {Object} facts - Output of computeFacts
+ * @returns {Array} [{ key, stat, why }]
+ */
+export function describeFacts(game, facts) {
+  const wonTeam = facts.winner === 'home' ? game.home_team : game.away_team;
+  const lostTeam = facts.loser === 'home' ? game.home_team : game.away_team;
+  const scoreDiff = Math.abs((game.home_points || 0) - (game.away_points || 0));
+  const lines = [];
+
+  if (facts.turnover_margin !== null && Math.abs(facts.turnover_margin) >= 2) {
+    const sign = facts.turnover_margin > 0 ? '+' : '';
+    lines.push({
+      key: 'turnovers',
+      stat: `Turnover margin ${sign}${facts.turnover_margin}`,
+      why: facts.turnover_margin > 0
+        ? `${lostTeam} turned it over ${facts.turnovers.loser} times to ${wonTeam}'s ${facts.turnovers.winner}, and ${wonTeam} made the extra possessions count in a ${scoreDiff}-point game.`
+        : `${wonTeam} won despite losing the turnover battle ${facts.turnovers.winner}–${facts.turnovers.loser}.`
+    });
+  }
+
+  if (facts.deficit_overcome >= 10) {
+    const q4 = facts.q4_points;
+    lines.push({
+      key: 'comeback',
+      stat: `Overcame a ${facts.deficit_overcome}-point deficit`,
+      why: `${wonTeam} trailed by ${facts.deficit_overcome} and rallied${q4 && q4.winner > q4.loser ? `, outscoring ${lostTeam} ${q4.winner}–${q4.loser} in the fourth quarter` : ''}.`
+    });
+  }
+
+  if (facts.q4_yards && facts.q4_yards.winner >= 150) {
+    lines.push({
+      key: 'q4_yards',
+      stat: `Fourth quarter: ${facts.q4_yards.winner} yards`,
+      why: `${wonTeam} outgained ${lostTeam} ${facts.q4_yards.winner}–${facts.q4_yards.loser} in the fourth quarter.`
+    });
+  }
+
+  if (facts.total_yards && facts.total_yards.loser > facts.total_yards.winner) {
+    lines.push({
+      key: 'yards',
+      stat: `${lostTeam} outgained ${wonTeam} ${facts.total_yards.loser}–${facts.total_yards.winner}`,
+      why: `${lostTeam} outgained ${wonTeam} ${facts.total_yards.loser}–${facts.total_yards.winner} but couldn't turn yards into points.`
+    });
+  } else if (facts.total_yards && facts.total_yards.winner - facts.total_yards.loser >= 100) {
+    lines.push({
+      key: 'yards',
+      stat: `${facts.total_yards.winner} total yards`,
+      why: `${wonTeam} outgained ${lostTeam} ${facts.total_yards.winner}–${facts.total_yards.loser}.`
+    });
+  }
+
+  if (facts.rushing_yards && facts.rushing_yards.winner >= 200) {
+    lines.push({
+      key: 'rushing',
+      stat: `${facts.rushing_yards.winner} rushing yards`,
+      why: `${wonTeam} ran for ${facts.rushing_yards.winner} yards against ${lostTeam}'s ${facts.rushing_yards.loser}.`
+    });
+  }
+
+  if (facts.lead_changes >= 3) {
+    lines.push({
+      key: 'lead_changes',
+      stat: `${facts.lead_changes} lead changes`,
+      why: `The lead changed hands ${facts.lead_changes} times before ${wonTeam} held on.`
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Build the recap input for a ranked game
+ * @param {Object} game - Ranked game (after attachDetails)
+ * @returns {Object} {
+ *   game_id, season, week, scope,
+ *   winner: { team, points, rank }, loser: { team, points, rank },
+ *   margin, total_points, periods, overtime, spread, upset, stakes, notes,
+ *   shape, facts, fact_lines, home, away, box
+ * }
+ */
+export function recapInput(game) {
+  const facts = computeFacts(game);
+  const winner = facts.winner;
+  const loser = facts.loser;
+  const side = key => ({
+    team: game[`${key}_team`],
+    points: game[`${key}_points`] || 0,
+    rank: game[`${key}_rank`] || null
+  });
+
+  const input = {
+    game_id: String(game.id),
+    season: game.season,
+    week: game.week,
+    winner: side(winner),
+    loser: side(loser),
+    margin: Math.abs((game.home_points || 0) - (game.away_points || 0)),
+    total_points: (game.home_points || 0) + (game.away_points || 0),
+    periods: game.periods || 4,
+    overtime: game.periods > 4,
+    spread: typeof game.spread === 'number' ? game.spread : null,
+    upset: upsetSize(game, winner),
+    stakes: game.stakes || null,
+    notes: game.notes || null,
+    facts,
+    fact_lines: describeFacts(game, facts),
+    // Home/away view for the fact check
+    home: game.home_team,
+    away: game.away_team,
+    box: boxScore(game)
+  };
+
+  input.shape = gameShape(input);
+  return input;
+}
+
+/**
+ * The story of the game, most specific first
+ * @returns {string} 'overtime', 'comeback', 'upset', 'blowout', 'defensive',
+ *   'shootout', 'close' or 'control'
+ */
+export function gameShape(input) {
+  if (input.overtime) return 'overtime';
+  if (input.facts.deficit_overcome >= 10) return 'comeback';
+  if (input.upset >= 3) return 'upset';
+  if (input.margin >= SHAPES.blowout) return 'blowout';
+  if (input.total_points <= SHAPES.defensive) return 'defensive';
+  if (input.total_points > SHAPES.shootout) return 'shootout';
+  if (input.margin <= SHAPES.close) return 'close';
+  return 'control';
+}
@@ -0,0 +1,24 @@
+/**
+ * Week results
+ * The compact list of every completed game that backs the app's
+ * "Your Teams" section, so followed teams show up outside the top 5
+ */
+
+/**
+ * One row per completed game, in kickoff order
+ * @param {Array} games - The week's games from the provider
+ * @returns {Array} [{ game_id, home, away, home_points, away_points, neutral? }]
+ */
+export function compactResults(games) {
+  return games
+    .filter(game => game.completed && game.home_points !== null && game.away_points !== null)
+    .sort((a, b) => new Date(a.start_date || 0) - new Date(b.start_date || 0))
+    .map(game => ({
+      game_id: String(game.id || ''),
+      home: game.home_team,
+      away: game.away_team,
+      home_points: game.home_points,
+      away_points: game.away_points,
+      ...(game.neutral_site && { neutral: true })
+    }));
+}
@@ -0,0 +1,146 @@
+/**
+ * "What's Next" picker
+ * Scores next week's scheduled games by rankings, rivalries and records,
+ * and writes the rows the app groups by day
+ */
+
+import { isRivalry } from './ranking.mjs';
+
+// Day labels follow US Eastern time, where most kickoffs are scheduled
+const SCHEDULE_TIME_ZONE = 'America/New_York';
+
+// "Unbeaten vs unbeaten" only means something a few weeks in
+const MIN_UNBEATEN_WINS = 3;
+
+// Postseason games that knock a team out (bowls don't)
+const STAKES_SCORES = { playoff: 3, semifinal: 5, final: 8 };
+const STAKES_HOOKS = {
+  playoff: 'win or go home',
+  semifinal: 'one win from the title game',
+  final: 'title game'
+};
+
+/**
+ * Win percentage, or null before a team has played
+ * @private
+ */
+function winPct(record) {
+  if (!record) return null;
+  const games = record.wins + record.losses + record.ties;
+  return games ? (record.wins + record.ties / 2) / games : null;
+}
+
+/**
+ * Whether both teams are unbeaten with enough wins to matter
+ * @private
+ */
+function bothUnbeaten(game) {
+  return [game.home_record, game.away_record].every(record =>
+    record && record.losses === 0 && record.wins >= MIN_UNBEATEN_WINS
+  );
+}
+
+/**
+ * "2-0" or "2-0-1"
+ * @private
+ */
+function formatRecord(record) {
+  return record.ties ? `${record.wins}-${record.losses}-${record.ties}` : `${record.wins}-${record.losses}`;
+}
+
+/**
+ * Short weekday for a kickoff ("Sat")
+ * @param {string} kickoff - ISO date
+ * @returns {string}
+ */
+export function dayLabel(kickoff) {
+  return new Date(kickoff).toLocaleDateString('en-US', { weekday: 'short', timeZone: SCHEDULE_TIME_ZONE });
+}
+
+/**
+ * Score an upcoming game for the What's Next list
+ * @param {Object} game - Scheduled game with optional ranks, records and spread
+ * @param {Array} rivalries - Rival pairs for the scope
+ * @returns {number}
+ */
+export function scoreUpcoming(game, rivalries) {
+  let score = 0;
+
+  // Ranked teams: No. 1 is worth 5, No. 25 is worth 0.2
+  for (const rank of [game.home_rank, game.away_rank]) {
+    if (rank) score += (26 - rank) / 5;
+  }
+  if (game.home_rank && game.away_rank) score += 4;
+
+  if (isRivalry(game, rivalries)) score += 3;
+
+  score += STAKES_SCORES[game.stakes] || 0;
+
+  // Records: good teams meeting good teams
+  const homePct = winPct(game.home_record);
+  const awayPct = winPct(game.away_record);
+  if (homePct !== null && awayPct !== null) {
+    score += 3 * (homePct + awayPct) / 2;
+    if (homePct > 0.5 && awayPct > 0.5) score += 2;
+    if (bothUnbeaten(game)) score += 2;
+  }
+
+  // Expected to be close
+  if (typeof game.spread === 'number' && Math.abs(game.spread) <= 3) score += 2;
+
+  return score;
+}
+
+/**
+ * Short hook explaining why the game is worth watching
+ * @param {Object} game - Scheduled game
+ * @param {Array} rivalries - Rival pairs for the scope
+ * @returns {string}
+ */
+export function writeHook(game, rivalries) {
+  const { home_rank: homeRank, away_rank: awayRank, home_record: homeRecord, away_record: awayRecord } = game;
+  const closeLine = typeof game.spread === 'number' && Math.abs(game.spread) <= 3;
+
+  if (STAKES_HOOKS[game.stakes]) return STAKES_HOOKS[game.stakes];
+  if (homeRank && awayRank) {
+    return `No. ${Math.min(homeRank, awayRank)} vs No. ${Math.max(homeRank, awayRank)}`;
+  }
+  if (isRivalry(game, rivalries)) return 'rivalry game';
+  if (bothUnbeaten(game)) return 'unbeaten vs unbeaten';
+  if (homeRank || awayRank) {
+    if (closeLine) return 'upset alert';
+    return homeRank ? `No. ${homeRank} at home` : `No. ${awayRank} on the road`;
+  }
+  if (closeLine) return "pick'em";
+  if (homeRecord && awayRecord) return `${formatRecord(awayRecord)} at ${formatRecord(homeRecord)}`;
+  return 'on the slate';
+}
+
+/**
+ * Pick the most compelling upcoming games
+ * @param {Array} games - Next week's games (with ranks, records, spreads attached)
+ * @param {Array} rivalries - Rival pairs for the scope
+ * @param {number} [count=5] - Rows to return
+ * @returns {Array} [{ when, kickoff, match, teams, hook, ids }] in kickoff order
+ */
+export function pickUpcoming(games, rivalries, count = 5) {
+  return games
+    .filter(game => !game.completed && game.start_date)
+    .map(game => ({ game, score: scoreUpcoming(game, rivalries) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .map(({ game }) => game)
+    .sort((a, b) => new Date(a.start_date) - new Date(b.start_date))
+    .map(game => ({
+      when: dayLabel(game.start_date),
+      kickoff: new Date(game.start_date).toISOString(),
+      match: `${game.away_team} ${game.neutral_site ? 'vs' : 'at'} ${game.home_team}`,
+      teams: [game.away_team, game.home_team],
+      hook: writeHook(game, rivalries),
+      ids: {
+        home_id: game.home_id || 0,
+        away_id: game.away_id || 0,
+        game_id: String(game.id || '')
+      }
+    }));
+}
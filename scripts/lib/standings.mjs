@@ -0,0 +1,269 @@
+/**
+ * Standings
+ * Conference (cfb) or division (nfl) standings from the season's results,
+ * and the weekly race: who leads each group and who can no longer catch them
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = join(__dirname, '..', 'config', 'standings.json');
+
+/**
+ * Load the standings rules for a scope
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @param {string} [path] - Config file (default: scripts/config/standings.json)
+ * @returns {Object} { group_by, rank_by, tiebreakers, ... } for this scope
+ */
+export function loadStandingsConfig(scope, path = DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(readFileSync(path, 'utf8'))[scope] || {};
+  return {
+    group_by: config.group_by || 'conference',
+    rank_by: config.rank_by || 'overall',
+    tiebreakers: config.tiebreakers || ['head_to_head'],
+    ignore: config.ignore || [],
+    divisions: config.divisions || null,
+    group_games: config.group_games || {},
+    default_group_games: config.default_group_games || null,
+    season_games: config.season_games || null
+  };
+}
+
+/**
+ * Conference or division a team plays in this game, or null
+ * (NFL providers don't report divisions, so they come from the config)
+ * @private
+ */
+function groupOf(game, side, config) {
+  const team = game[`${side}_team`];
+  if (config.divisions) {
+    return Object.keys(config.divisions).find(name => config.divisions[name].includes(team)) || null;
+  }
+  const conference = game[`${side}_conference`];
+  return conference && !config.ignore.includes(conference) ? conference : null;
+}
+
+/**
+ * "AFC" for "AFC East"; a college conference is its own
+ * @private
+ */
+function conferenceOf(group, config) {
+  return config.group_by === 'division' ? group.split(' ')[0] : group;
+}
+
+/**
+ * { wins, losses, ties } at zero
+ * @private
+ */
+function emptyRecord() {
+  return { wins: 0, losses: 0, ties: 0 };
+}
+
+/**
+ * Games in a record
+ * @private
+ */
+function gamesIn(record) {
+  return record.wins + record.losses + record.ties;
+}
+
+/**
+ * Win percentage, ties counting half; a team yet to play sits at .500
+ * @private
+ */
+function pct(record) {
+  const games = gamesIn(record);
+  return games > 0 ? (record.wins + record.ties / 2) / games : 0.5;
+}
+
+/**
+ * The record the group is ranked by: in-group (cfb) or overall (nfl)
+ * @private
+ */
+function rankedRecord(row, config) {
+  return config.rank_by === 'group' ? row.group_record : row;
+}
+
+/**
+ * Add a 'W', 'L' or 'T' to a record
+ * @private
+ */
+function tally(record, outcome) {
+  if (outcome === 'W') record.wins++;
+  else if (outcome === 'L') record.losses++;
+  else record.ties++;
+}
+
+// Each returns a value to sort by (higher is better), or null when it can't separate the teams
+const TIEBREAKERS = {
+  // Record in games among the tied teams; skipped unless each of them has played another
+  head_to_head: (row, tied) => {
+    const record = emptyRecord();
+    for (const result of row.results) {
+      if (tied.some(other => other.team === result.opponent)) tally(record, result.outcome);
+    }
+    return gamesIn(record) > 0 ? pct(record) : null;
+  },
+  group: row => pct(row.group_record),
+  conference: row => pct(row.conference_record),
+  overall: row => pct(row)
+};
+
+/**
+ * Order teams with the same record
+ * The first tiebreaker that separates them splits them into smaller ties,
+ * each broken again from the first tiebreaker; alphabetical if none does
+ * @private
+ */
+function breakTie(tied, tiebreakers) {
+  if (tied.length < 2) return tied;
+
+  for (const name of tiebreakers) {
+    const values = tied.map(row => TIEBREAKERS[name](row, tied));
+    if (values.includes(null)) continue;
+
+    const levels = [...new Set(values)].sort((a, b) => b - a);
+    if (levels.length < 2) continue;
+
+    return levels.flatMap(level => breakTie(tied.filter((row, i) => values[i] === level), tiebreakers));
+  }
+
+  return [...tied].sort((a, b) => a.team.localeCompare(b.team));
+}
+
+/**
+ * Rank one group: by record, then tiebreakers
+ * @private
+ */
+function rankGroup(rows, config) {
+  const levels = [...new Set(rows.map(row => pct(rankedRecord(row, config))))].sort((a, b) => b - a);
+  return levels.flatMap(level =>
+    breakTie(rows.filter(row => pct(rankedRecord(row, config)) === level), config.tiebreakers));
+}
+
+/**
+ * Standings from completed games
+ * @param {Array} games - Normalized games, any weeks
+ * @param {Object} config - From loadStandingsConfig
+ * @returns {Object} { [group]: [{ team, wins, losses, ties, group_record, conference_record, points_for, points_against, results }] }, best first
+ */
+export function computeStandings(games, config) {
+  const rows = new Map();
+  const rowFor = (team, group) => {
+    if (!rows.has(team)) {
+      rows.set(team, {
+        team,
+        group,
+        ...emptyRecord(),
+        group_record: emptyRecord(),
+        conference_record: emptyRecord(),
+        points_for: 0,
+        points_against: 0,
+        results: []
+      });
+    }
+    return rows.get(team);
+  };
+
+  // Divisions are known up front, so teams yet to play are listed too
+  for (const [group, teams] of Object.entries(config.divisions || {})) {
+    for (const team of teams) rowFor(team, group);
+  }
+
+  for (const game of games) {
+    if (!game.completed || typeof game.home_points !== 'number' || typeof game.away_points !== 'number') continue;
+
+    const groups = { home: groupOf(game, 'home', config), away: groupOf(game, 'away', config) };
+    const sameGroup = groups.home && groups.home === groups.away;
+    const sameConference = groups.home && groups.away &&
+      conferenceOf(groups.home, config) === conferenceOf(groups.away, config);
+
+    for (const [side, other] of [['home', 'away'], ['away', 'home']]) {
+      // Games against teams outside every group (FCS, independents) still count overall
+      if (!groups[side]) continue;
+
+      const points = game[`${side}_points`];
+      const allowed = game[`${other}_points`];
+      const outcome = points > allowed ? 'W' : points < allowed ? 'L' : 'T';
+      const row = rowFor(game[`${side}_team`], groups[side]);
+
+      tally(row, outcome);
+      if (sameGroup) tally(row.group_record, outcome);
+      if (sameConference) tally(row.conference_record, outcome);
+      row.points_for += points;
+      row.points_against += allowed;
+      row.results.push({ opponent: game[`${other}_team`], outcome });
+    }
+  }
+
+  const standings = {};
+  for (const row of rows.values()) {
+    (standings[row.group] ||= []).push(row);
+  }
+  for (const group of Object.keys(standings)) {
+    standings[group] = rankGroup(standings[group], config);
+  }
+  return standings;
+}
+
+/**
+ * "2-0" or "2-0-1"
+ * @private
+ */
+function formatRecord(record) {
+  return record.ties ? `${record.wins}-${record.losses}-${record.ties}` : `${record.wins}-${record.losses}`;
+}
+
+/**
+ * Teams that can't finish with as many wins as someone already has,
+ * even winning out (ties in the final standings are left to tiebreakers,
+ * so a team that can still draw level is never counted out)
+ * @private
+ */
+function eliminated(rows, group, config) {
+  const total = config.rank_by === 'group'
+    ? config.group_games[group] ?? config.default_group_games
+    : config.season_games;
+  if (!total) return new Set();
+
+  const wins = record => record.wins + record.ties / 2;
+  const best = Math.max(...rows.map(row => wins(rankedRecord(row, config))));
+
+  return new Set(rows
+    .filter(row => {
+      const record = rankedRecord(row, config);
+      return wins(record) + Math.max(total - gamesIn(record), 0) < best;
+    })
+    .map(row => row.team));
+}
+
+/**
+ * This week's race: each group's leaders and the teams eliminated this week
+ * @param {Object} before - computeStandings of the earlier weeks
+ * @param {Object} after - computeStandings including this week
+ * @param {Object} config - From loadStandingsConfig
+ * @returns {Array} [{ group, leaders, record, eliminated }], groups with a ranked game played
+ */
+export function raceSummary(before, after, config) {
+  const race = [];
+
+  for (const group of Object.keys(after).sort()) {
+    const rows = after[group];
+    const leader = rankedRecord(rows[0], config);
+    if (!rows.some(row => gamesIn(rankedRecord(row, config)) > 0)) continue;
+
+    const out = eliminated(before[group] || [], group, config);
+    race.push({
+      group,
+      // Teams with the leader's exact record, in tiebreaker order (a 1-1
+      // leader doesn't share first with a team yet to play)
+      leaders: rows.filter(row => formatRecord(rankedRecord(row, config)) === formatRecord(leader)).map(row => row.team),
+      record: formatRecord(leader),
+      eliminated: [...eliminated(rows, group, config)].filter(team => !out.has(team))
+    });
+  }
+
+  return race;
+}
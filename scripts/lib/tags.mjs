@@ -0,0 +1,107 @@
+/**
+ * Tag derivation for top games
+ * Tags drive search and the tag chips in the Top Games list, so every
+ * generated tag must come from this vocabulary
+ */
+
+import { largestDeficit } from './gameFacts.mjs';
+import { upsetSize, isRivalry } from './ranking.mjs';
+
+/**
+ * Tag vocabulary, in display order
+ */
+export const TAG_VOCABULARY = {
+  'playoff': 'Postseason elimination or title game',
+  'bowl': 'Postseason bowl outside the playoff',
+  'upset': 'Underdog won: beat the spread by 3+ or beat a higher-ranked team',
+  'comeback': 'Winner overcame a deficit of 10+ points',
+  'late': 'Winner took the lead for good in the fourth quarter or overtime',
+  'overtime': 'Game went to overtime',
+  'ranked-vs-ranked': 'Both teams ranked in the AP/Coaches poll',
+  'ranked-vs-unranked': 'Exactly one team ranked',
+  'rivalry': 'Listed rivalry for the scope',
+  'one-score': 'Final margin of 8 points or less',
+  'shootout': 'More than 70 combined points',
+  'defensive-struggle': 'Combined 30 points or fewer',
+  'blowout': 'Final margin of 28+ points'
+};
+
+const ONE_SCORE = 8;
+const BLOWOUT = 28;
+const SHOOTOUT = 70;
+const DEFENSIVE_STRUGGLE = 30;
+const COMEBACK = 10;
+const UPSET_SPREAD = 3;
+
+/**
+ * Period in which the winner took the lead for good
+ * Uses scoring plays when present, otherwise quarter-break line scores
+ * @private
+ */
+function decidingPeriod(game, winner) {
+  const sign = winner === 'home' ? 1 : -1;
+
+  if (game.scoring_plays?.length) {
+    let period = null;
+    for (const play of game.scoring_plays) {
+      const lead = sign * (play.home_score - play.away_score);
+      if (lead <= 0) period = null;
+      else if (period === null) period = play.period;
+    }
+    return period;
+  }
+
+  const lines = game.line_scores;
+  if (!lines?.home || !lines?.away) return null;
+
+  let lead = 0;
+  let period = null;
+  for (let i = 0; i < Math.min(lines.home.length, lines.away.length); i++) {
+    lead += sign * (lines.home[i] - lines.away[i]);
+    if (lead <= 0) period = null;
+    else if (period === null) period = i + 1;
+  }
+  return period;
+}
+
+/**
+ * Derive tags for a ranked game
+ * @param {Object} game - Ranked game (scores, periods, ranks, spread, line scores)
+ * @param {Array} [rivalries=[]] - Rival pairs for the scope
+ * @returns {Array} Tags in vocabulary order
+ */
+export function deriveTags(game, rivalries = []) {
+  const homeScore = game.home_points || 0;
+  const awayScore = game.away_points || 0;
+  const scoreDiff = Math.abs(homeScore - awayScore);
+  const totalPoints = homeScore + awayScore;
+  const winner = homeScore > awayScore ? 'home' : 'away';
+  const loser = winner === 'home' ? 'away' : 'home';
+  const winnerRank = game[`${winner}_rank`];
+  const loserRank = game[`${loser}_rank`];
+  const tags = new Set();
+
+  if (scoreDiff > 0) {
+    const rankedUpset = loserRank && (!winnerRank || winnerRank > loserRank);
+    if (rankedUpset || upsetSize(game, winner) >= UPSET_SPREAD) tags.add('upset');
+    if (largestDeficit(game, winner) >= COMEBACK) tags.add('comeback');
+    if (decidingPeriod(game, winner) >= 4) tags.add('late');
+  }
+
+  if (game.periods > 4) tags.add('overtime');
+
+  if (winnerRank && loserRank) tags.add('ranked-vs-ranked');
+  else if (winnerRank || loserRank) tags.add('ranked-vs-unranked');
+
+  if (isRivalry(game, rivalries)) tags.add('rivalry');
+
+  if (game.stakes === 'bowl') tags.add('bowl');
+  else if (game.stakes) tags.add('playoff');
+
+  if (scoreDiff <= ONE_SCORE) tags.add('one-score');
+  if (scoreDiff >= BLOWOUT) tags.add('blowout');
+  if (totalPoints > SHOOTOUT) tags.add('shootout');
+  if (totalPoints <= DEFENSIVE_STRUGGLE) tags.add('defensive-struggle');
+
+  return Object.keys(TAG_VOCABULARY).filter(tag => tags.has(tag));
+}
@@ -0,0 +1,69 @@
+/**
+ * Team metadata registry (data/teams/{scope}.json)
+ * Canonical abbreviations, provider IDs, colors and local logo paths
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+
+/**
+ * Registry file path for a scope
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @returns {string}
+ */
+export function registryPath(scope) {
+  return join(ROOT, 'data', 'teams', `${scope}.json`);
+}
+
+/**
+ * Load a scope's registry, or an empty one if it doesn't exist yet
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @returns {Object} { scope, updated_at, teams: { [name]: { abbr, ids, color, alt_color, logo } } }
+ */
+export function loadTeamRegistry(scope) {
+  const path = registryPath(scope);
+  if (!existsSync(path)) {
+    return { scope, updated_at: null, teams: {} };
+  }
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Write a registry back to disk, teams sorted by name
+ * @param {Object} registry - Registry object
+ */
+export function saveTeamRegistry(registry) {
+  const teams = {};
+  for (const name of Object.keys(registry.teams).sort()) {
+    teams[name] = registry.teams[name];
+  }
+  writeFileSync(registryPath(registry.scope), JSON.stringify({ ...registry, teams }, null, 2) + '\n');
+}
+
+/**
+ * Whether a registry logo path (e.g. /assets/logos/cfb/278.png) exists locally
+ * @param {string} logo - Site-relative logo path
+ * @returns {boolean}
+ */
+export function logoExists(logo) {
+  return Boolean(logo) && existsSync(join(ROOT, logo));
+}
+
+/**
+ * Find a team by name, then by provider ID
+ * @param {Object} registry - Registry object
+ * @param {string} name - Team name as the provider reports it
+ * @param {number|string} [id] - Provider team ID
+ * @param {string} [providerName] - Provider key in `ids` (e.g. 'cfbd', 'espn')
+ * @returns {Object|null} Registry entry
+ */
+export function findTeam(registry, name, id, providerName) {
+  if (registry.teams[name]) return registry.teams[name];
+  if (!id || !providerName) return null;
+
+  return Object.values(registry.teams).find(team => String(team.ids?.[providerName]) === String(id)) || null;
+}
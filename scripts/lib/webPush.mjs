@@ -0,0 +1,204 @@
+/**
+ * Web Push without dependencies
+ * VAPID request signing (RFC 8292) and aes128gcm payload encryption
+ * (RFC 8291), plus the matching decryption the mock push service uses
+ */
+
+import {
+  createECDH, createPrivateKey, createPublicKey, createCipheriv, createDecipheriv,
+  hkdfSync, randomBytes, sign, verify
+} from 'crypto';
+
+// Record size written into the aes128gcm header; one record holds any payload we send
+const RECORD_SIZE = 4096;
+
+// How long a VAPID token stays valid (RFC 8292 caps it at 24 hours)
+const TOKEN_TTL = 12 * 60 * 60;
+
+/**
+ * @private
+ */
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * @private
+ */
+function fromBase64url(text) {
+  return Buffer.from(text, 'base64url');
+}
+
+/**
+ * P-256 JWK from a raw uncompressed public key (and optional private scalar)
+ * @private
+ */
+function ecJwk(publicKey, privateKey) {
+  const point = fromBase64url(publicKey);
+  return {
+    kty: 'EC',
+    crv: 'P-256',
+    x: base64url(point.subarray(1, 33)),
+    y: base64url(point.subarray(33, 65)),
+    ...(privateKey ? { d: privateKey } : {})
+  };
+}
+
+/**
+ * @private
+ */
+function hkdf(ikm, salt, info, length) {
+  return Buffer.from(hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Content key and nonce for one message (RFC 8291 section 3.4)
+ * @private
+ */
+function deriveKeys(sharedSecret, authSecret, userAgentPublic, serverPublic, salt) {
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublic, serverPublic]);
+  const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+
+  return {
+    key: hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    nonce: hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12)
+  };
+}
+
+/**
+ * Generate a VAPID key pair
+ * @returns {Object} { publicKey, privateKey } base64url (65-byte point, 32-byte scalar)
+ */
+export function generateVapidKeys() {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: base64url(ecdh.getPublicKey()),
+    privateKey: base64url(ecdh.getPrivateKey())
+  };
+}
+
+/**
+ * Authorization header for a push request
+ * @param {string} endpoint - Subscription endpoint
+ * @param {Object} vapid - { publicKey, privateKey, subject } (subject: mailto: or https: contact)
+ * @returns {string} "vapid t=<jwt>, k=<public key>"
+ */
+export function vapidAuthorization(endpoint, { publicKey, privateKey, subject }) {
+  const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL,
+    sub: subject
+  }));
+
+  const key = createPrivateKey({ key: ecJwk(publicKey, privateKey), format: 'jwk' });
+  const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${header}.${claims}.${base64url(signature)}, k=${publicKey}`;
+}
+
+/**
+ * Check a VAPID Authorization header
+ * @param {string} authorization - Request header
+ * @param {string} origin - Push service origin the token must be for
+ * @returns {Object} { claims, publicKey }
+ * @throws {Error} When the header is malformed, expired, for another origin or badly signed
+ */
+export function verifyVapid(authorization, origin) {
+  const match = String(authorization || '').match(/^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+),\s*k=([\w-]+)$/);
+  if (!match) throw new Error('Missing or malformed vapid Authorization header');
+
+  const [, header, body, signature, publicKey] = match;
+  const key = createPublicKey({ key: ecJwk(publicKey), format: 'jwk' });
+  const valid = verify('sha256', Buffer.from(`${header}.${body}`), { key, dsaEncoding: 'ieee-p1363' }, fromBase64url(signature));
+  if (!valid) throw new Error('VAPID signature does not verify');
+
+  const claims = JSON.parse(fromBase64url(body).toString('utf8'));
+  if (claims.aud !== origin) throw new Error(`VAPID audience ${claims.aud} is not ${origin}`);
+  if (!(claims.exp > Date.now() / 1000)) throw new Error('VAPID token has expired');
+
+  return { claims, publicKey };
+}
+
+/**
+ * Encrypt a payload for a subscription
+ * @param {Object} subscription - PushSubscription JSON ({ endpoint, keys: { p256dh, auth } })
+ * @param {string} payload - Text to send (JSON for our notifications)
+ * @returns {Buffer} aes128gcm request body
+ */
+export function encryptPayload(subscription, payload) {
+  const userAgentPublic = fromBase64url(subscription.keys.p256dh);
+  const authSecret = fromBase64url(subscription.keys.auth);
+
+  const server = createECDH('prime256v1');
+  const serverPublic = server.generateKeys();
+  const salt = randomBytes(16);
+  const { key, nonce } = deriveKeys(server.computeSecret(userAgentPublic), authSecret, userAgentPublic, serverPublic, salt);
+
+  // One record: payload, then the 0x02 last-record delimiter
+  const cipher = createCipheriv('aes-128-gcm', key, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublic.length, 20);
+
+  return Buffer.concat([header, serverPublic, ciphertext]);
+}
+
+/**
+ * Decrypt an aes128gcm body, as a browser would
+ * @param {Buffer} body - Request body
+ * @param {Object} keys - { publicKey, privateKey, auth } of the subscription, base64url
+ * @returns {string} Payload
+ */
+export function decryptPayload(body, { publicKey, privateKey, auth }) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublic = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const userAgent = createECDH('prime256v1');
+  userAgent.setPrivateKey(fromBase64url(privateKey));
+  const { key, nonce } = deriveKeys(userAgent.computeSecret(serverPublic), fromBase64url(auth), fromBase64url(publicKey), serverPublic, salt);
+
+  const decipher = createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  // Strip the delimiter and any zero padding after it
+  let end = padded.length - 1;
+  while (end > 0 && padded[end] === 0) end--;
+  return padded.subarray(0, end).toString('utf8');
+}
+
+/**
+ * Send one notification
+ * @param {Object} subscription - PushSubscription JSON
+ * @param {Object} payload - Notification data (sent as JSON)
+ * @param {Object} vapid - { publicKey, privateKey, subject }
+ * @param {Object} [options] - { ttl } seconds the push service may hold it (default one day)
+ * @returns {Promise<Object>} { ok, status, expired } where expired means the
+ *   subscription is gone (404/410) and should be dropped
+ */
+export async function sendNotification(subscription, payload, vapid, { ttl = 24 * 60 * 60 } = {}) {
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': vapidAuthorization(subscription.endpoint, vapid),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'TTL': String(ttl),
+      'Urgency': 'normal'
+    },
+    body: encryptPayload(subscription, JSON.stringify(payload))
+  });
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    expired: response.status === 404 || response.status === 410
+  };
+}
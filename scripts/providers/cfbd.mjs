@@ -0,0 +1,333 @@
+/**
+ * College Football Data (CFBD) provider
+ * https://collegefootballdata.com/
+ */
+
+import { normalizeTeamStats, sumQuarterYards } from './stats.mjs';
+import { SeasonCalendar } from '../lib/calendar.mjs';
+
+const API_BASE = 'https://api.collegefootballdata.com';
+const API_KEY = process.env.CFBD_API_KEY;
+
+// CFBD poll names -> our poll keys
+const POLLS = {
+  'AP Top 25': 'ap',
+  'Coaches Poll': 'coaches'
+};
+
+// Play types that don't count toward offensive yards
+const NON_OFFENSE_PLAYS = /penalty|kickoff|punt|field goal|extra point|timeout|end of|two point/i;
+
+/**
+ * GET a CFBD endpoint and parse JSON
+ * @private
+ */
+async function request(path) {
+  if (!API_KEY) {
+    throw new Error('No CFBD_API_KEY set');
+  }
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    headers: { 'Authorization': `Bearer ${API_KEY}` }
+  });
+
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Normalize a CFBD game (v1 snake_case or v2 camelCase) to our game shape
+ * @private
+ */
+function normalizeGame(g) {
+  return {
+    id: g.id,
+    season: g.season,
+    week: g.week,
+    start_date: g.start_date ?? g.startDate ?? null,
+    completed: g.completed ?? false,
+    periods: g.periods ?? (g.home_line_scores ?? g.homeLineScores ?? []).length,
+    conference_game: g.conference_game ?? g.conferenceGame ?? false,
+    neutral_site: g.neutral_site ?? g.neutralSite ?? false,
+    home_id: g.home_id ?? g.homeId ?? 0,
+    home_team: g.home_team ?? g.homeTeam,
+    home_conference: g.home_conference ?? g.homeConference ?? null,
+    home_points: g.home_points ?? g.homePoints ?? null,
+    away_id: g.away_id ?? g.awayId ?? 0,
+    away_team: g.away_team ?? g.awayTeam,
+    away_conference: g.away_conference ?? g.awayConference ?? null,
+    away_points: g.away_points ?? g.awayPoints ?? null,
+    line_scores: normalizeLineScores(g),
+    season_type: g.season_type ?? g.seasonType ?? 'regular',
+    notes: g.notes || null,
+    stakes: postseasonStakes(g)
+  };
+}
+
+/**
+ * What a postseason game decides, from its CFBD notes
+ * ("Orange Bowl - College Football Playoff Semifinal")
+ * @private
+ */
+function postseasonStakes(g) {
+  if ((g.season_type ?? g.seasonType) !== 'postseason') return null;
+
+  const notes = g.notes || '';
+  if (/national championship/i.test(notes)) return 'final';
+  if (/semifinal/i.test(notes)) return 'semifinal';
+  if (/playoff|CFP/i.test(notes)) return 'playoff';
+  return 'bowl';
+}
+
+/**
+ * Whether a postseason game falls in a calendar round
+ * CFBD files every bowl under postseason week 1, so rounds are split by date;
+ * bowls played before the first round opens still count toward it
+ * @private
+ */
+function inRound(game, round) {
+  if (!round || !game.start_date) return false;
+  const date = new Date(game.start_date);
+  return date < round.end && (round.week === 1 || date >= round.start);
+}
+
+/**
+ * Line scores by quarter, when the game carries them
+ * @private
+ */
+function normalizeLineScores(g) {
+  const home = g.home_line_scores ?? g.homeLineScores;
+  const away = g.away_line_scores ?? g.awayLineScores;
+  return home && away ? { home, away } : null;
+}
+
+/**
+ * Map a CFBD play to home/away scores (v1 and v2 field names)
+ * @private
+ */
+function normalizePlay(play, game) {
+  const offense = play.offense;
+  const offenseScore = play.offense_score ?? play.offenseScore ?? 0;
+  const defenseScore = play.defense_score ?? play.defenseScore ?? 0;
+  const offenseIsHome = offense === game.home_team;
+  const clock = play.clock || {};
+
+  return {
+    side: offenseIsHome ? 'home' : 'away',
+    period: play.period,
+    clock: `${clock.minutes ?? 0}:${String(clock.seconds ?? 0).padStart(2, '0')}`,
+    type: play.play_type ?? play.playType ?? '',
+    text: play.play_text ?? play.playText ?? '',
+    yards: play.yards_gained ?? play.yardsGained ?? 0,
+    scoring: play.scoring ?? false,
+    home_score: offenseIsHome ? offenseScore : defenseScore,
+    away_score: offenseIsHome ? defenseScore : offenseScore
+  };
+}
+
+/**
+ * Scoring plays with the scoring side taken from the score change,
+ * so defensive and return touchdowns credit the right team
+ * @private
+ */
+function toScoringPlays(plays) {
+  const scoring = [];
+  let last = { home_score: 0, away_score: 0 };
+
+  for (const play of plays) {
+    if (!play.scoring) continue;
+    if (play.home_score === last.home_score && play.away_score === last.away_score) continue;
+
+    scoring.push({
+      period: play.period,
+      clock: play.clock,
+      team: play.home_score > last.home_score ? 'home' : 'away',
+      type: play.type,
+      text: play.text,
+      home_score: play.home_score,
+      away_score: play.away_score
+    });
+    last = play;
+  }
+
+  return scoring;
+}
+
+/**
+ * { [team]: { wins, losses, ties } } from completed games
+ * @private
+ */
+function tallyRecords(games) {
+  const records = {};
+  const add = (team, points, allowed) => {
+    const record = records[team] ||= { wins: 0, losses: 0, ties: 0 };
+    if (points > allowed) record.wins++;
+    else if (points < allowed) record.losses++;
+    else record.ties++;
+  };
+
+  for (const game of games) {
+    if (!game.completed || game.home_points === null || game.away_points === null) continue;
+    add(game.home_team, game.home_points, game.away_points);
+    add(game.away_team, game.away_points, game.home_points);
+  }
+
+  return records;
+}
+
+export const cfbdProvider = {
+  name: 'cfbd',
+  scopes: ['cfb'],
+  source: 'cfbd:v2 games; games/teams; plays; rankings; lines; teams',
+
+  /**
+   * Fetch all games for a week or postseason round
+   * @param {Object} options - { season, week, seasonType = 'regular' }
+   * @returns {Promise<Array>} Normalized games
+   */
+  async fetchGames({ season, week, seasonType = 'regular' }) {
+    if (seasonType === 'postseason') {
+      const round = SeasonCalendar.find('cfb', season, 'postseason', week);
+      const games = await request(`/games?year=${season}&seasonType=postseason`);
+      return games.map(normalizeGame).filter(game => inRound(game, round));
+    }
+
+    const games = await request(`/games?year=${season}&week=${week}&seasonType=regular`);
+    return games.map(normalizeGame);
+  },
+
+  /**
+   * Fetch the season's games before a week
+   * @param {Object} options - { season, week }
+   * @returns {Promise<Array>} Normalized games from earlier weeks
+   */
+  async fetchSeasonGames({ season, week }) {
+    const games = await request(`/games?year=${season}&seasonType=regular`);
+    return games.map(normalizeGame).filter(game => game.week < week);
+  },
+
+  /**
+   * Fetch team box scores, line scores and play-by-play for one game
+   * Uses the game's own CFBD week, since postseason rounds aren't CFBD weeks
+   * @param {Object} options - { season, game }
+   * @returns {Promise<Object>} { team_stats, line_scores, scoring_plays, quarter_yards }
+   */
+  async fetchGameDetails({ season, game }) {
+    const filter = `year=${season}&week=${game.week}&seasonType=${game.season_type}`;
+    const [boxes, rawPlays] = await Promise.all([
+      request(`/games/teams?${filter}&id=${game.id}`),
+      request(`/plays?${filter}&team=${encodeURIComponent(game.home_team)}`)
+    ]);
+
+    const teams = boxes[0]?.teams || [];
+    const teamStats = {};
+    for (const team of teams) {
+      const side = (team.home_away ?? team.homeAway) === 'home' ? 'home' : 'away';
+      teamStats[side] = normalizeTeamStats(team.stats, 'category', 'stat');
+    }
+
+    const plays = rawPlays
+      .filter(play => String(play.game_id ?? play.gameId) === String(game.id))
+      .map(play => normalizePlay(play, game));
+
+    return {
+      team_stats: teamStats.home && teamStats.away ? teamStats : null,
+      line_scores: game.line_scores,
+      scoring_plays: toScoringPlays(plays),
+      quarter_yards: sumQuarterYards(plays.filter(play => !NON_OFFENSE_PLAYS.test(play.type)))
+    };
+  },
+
+  /**
+   * Fetch AP and Coaches poll rankings going into a week
+   * Postseason rounds use the last regular-season poll
+   * @param {Object} options - { season, week, seasonType = 'regular' }
+   * @returns {Promise<Array>} [{ poll: 'ap'|'coaches', rank, team }]
+   */
+  async fetchRankings({ season, week, seasonType = 'regular' }) {
+    const weeks = seasonType === 'postseason'
+      ? await request(`/rankings?year=${season}&seasonType=regular`)
+      : await request(`/rankings?year=${season}&week=${week}&seasonType=regular`);
+    const latest = weeks.sort((a, b) => a.week - b.week)[weeks.length - 1];
+    const rankings = [];
+
+    for (const poll of latest?.polls || []) {
+      const key = POLLS[poll.poll];
+      if (!key) continue;
+      for (const entry of poll.ranks || []) {
+        rankings.push({ poll: key, rank: entry.rank, team: entry.school });
+      }
+    }
+
+    return rankings;
+  },
+
+  /**
+   * Fetch consensus betting lines for a week (all bowls in the postseason)
+   * @param {Object} options - { season, week, seasonType = 'regular' }
+   * @returns {Promise<Object>} { [game_id]: { spread, over_under } }, spread from the home team's view
+   */
+  async fetchLines({ season, week, seasonType = 'regular' }) {
+    const games = seasonType === 'postseason'
+      ? await request(`/lines?year=${season}&seasonType=postseason`)
+      : await request(`/lines?year=${season}&week=${week}&seasonType=regular`);
+    const lines = {};
+
+    for (const game of games) {
+      const line = (game.lines || []).find(l => l.spread !== null && l.spread !== undefined);
+      if (!line) continue;
+      lines[game.id] = {
+        spread: Number(line.spread),
+        over_under: Number(line.over_under ?? line.overUnder) || null
+      };
+    }
+
+    return lines;
+  },
+
+  /**
+   * Fetch win/loss records going into a week or postseason round
+   * Tallied from the season's results: /records has no week filter, so a
+   * past week's draft would count games played after it
+   * @param {Object} options - { season, week, seasonType = 'regular' }
+   * @returns {Promise<Object>} { [team]: { wins, losses, ties } }
+   */
+  async fetchRecords({ season, week, seasonType = 'regular' }) {
+    let games;
+    if (seasonType === 'postseason') {
+      const round = SeasonCalendar.find('cfb', season, 'postseason', week);
+      const [regular, postseason] = await Promise.all([
+        request(`/games?year=${season}&seasonType=regular`),
+        request(`/games?year=${season}&seasonType=postseason`)
+      ]);
+      games = [
+        ...regular.map(normalizeGame),
+        ...postseason.map(normalizeGame).filter(game => round && game.start_date && new Date(game.start_date) < round.start)
+      ];
+    } else {
+      games = await this.fetchSeasonGames({ season, week });
+    }
+
+    return tallyRecords(games);
+  },
+
+  /**
+   * Fetch FBS team metadata for the registry
+   * @param {Object} options - { season }
+   * @returns {Promise<Array>} [{ id, name, abbr, color, alt_color, logo_url }]
+   */
+  async fetchTeams({ season }) {
+    const teams = await request(`/teams/fbs?year=${season}`);
+    return teams.map(team => ({
+      id: team.id,
+      name: team.school,
+      abbr: team.abbreviation || null,
+      color: team.color || null,
+      alt_color: team.alt_color ?? team.alternateColor ?? null,
+      logo_url: team.logos?.[0] || null
+    }));
+  }
+};
@@ -0,0 +1,223 @@
+/**
+ * ESPN public scoreboard provider (NFL)
+ * No API key required
+ */
+
+import { normalizeTeamStats, sumQuarterYards } from './stats.mjs';
+
+const API_BASE = 'https://site.api.espn.com/apis/site/v2/sports/football/nfl';
+
+// ESPN season types
+const SEASON_TYPE_REGULAR = 2;
+const SEASON_TYPE_POSTSEASON = 3;
+
+// ESPN postseason week for each round (week 4 is the Pro Bowl), and what it decides
+const POSTSEASON_WEEKS = [1, 2, 3, 5];
+const POSTSEASON_STAKES = ['playoff', 'playoff', 'semifinal', 'final'];
+
+// Play types that count toward offensive yards
+const OFFENSE_PLAYS = /rush|pass|sack|scramble/i;
+
+/**
+ * GET an ESPN endpoint and parse JSON
+ * @private
+ */
+async function request(path) {
+  const response = await fetch(`${API_BASE}${path}`);
+
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Normalize an ESPN scoreboard event to our game shape
+ * @private
+ */
+function normalizeEvent(event) {
+  const competition = event.competitions?.[0] || {};
+  const competitors = competition.competitors || [];
+  const home = competitors.find(c => c.homeAway === 'home') || {};
+  const away = competitors.find(c => c.homeAway === 'away') || {};
+  const status = competition.status || event.status || {};
+  const completed = status.type?.completed ?? false;
+  const postseason = event.season?.type === SEASON_TYPE_POSTSEASON;
+  const round = postseason ? POSTSEASON_WEEKS.indexOf(event.week?.number) : -1;
+
+  return {
+    id: event.id,
+    season: event.season?.year,
+    week: event.week?.number,
+    start_date: event.date || null,
+    completed,
+    periods: status.period || 0,
+    conference_game: competition.conferenceCompetition ?? false,
+    neutral_site: competition.neutralSite ?? false,
+    home_id: parseInt(home.team?.id) || 0,
+    home_team: home.team?.displayName,
+    home_conference: null,
+    home_points: completed ? parseInt(home.score) : null,
+    away_id: parseInt(away.team?.id) || 0,
+    away_team: away.team?.displayName,
+    away_conference: null,
+    away_points: completed ? parseInt(away.score) : null,
+    line_scores: normalizeLineScores(home, away),
+    spread: normalizeSpread(competition.odds?.[0]),
+    over_under: competition.odds?.[0]?.overUnder ?? null,
+    home_record: normalizeRecord(home.records),
+    away_record: normalizeRecord(away.records),
+    season_type: postseason ? 'postseason' : 'regular',
+    notes: competition.notes?.[0]?.headline || null,
+    stakes: round >= 0 ? POSTSEASON_STAKES[round] : null
+  };
+}
+
+/**
+ * Overall record from ESPN's "W-L" or "W-L-T" summary
+ * @private
+ */
+function normalizeRecord(records) {
+  const total = (records || []).find(r => r.type === 'total') || records?.[0];
+  if (!total?.summary) return null;
+
+  const [wins, losses, ties] = total.summary.split('-').map(n => parseInt(n) || 0);
+  return { wins, losses, ties: ties || 0 };
+}
+
+/**
+ * Home-team spread from ESPN odds (-7 means home favored by 7)
+ * @private
+ */
+function normalizeSpread(odds) {
+  if (!odds || typeof odds.spread !== 'number') return null;
+  return odds.spread;
+}
+
+/**
+ * Line scores by quarter from a pair of competitors
+ * @private
+ */
+function normalizeLineScores(home, away) {
+  if (!home.linescores || !away.linescores) return null;
+  const points = c => c.linescores.map(line => parseInt(line.value ?? line.displayValue) || 0);
+  return { home: points(home), away: points(away) };
+}
+
+export const espnProvider = {
+  name: 'espn',
+  scopes: ['nfl'],
+  source: 'espn:nfl scoreboard; summary; odds',
+
+  /**
+   * Fetch all games for a week or postseason round
+   * @param {Object} options - { season, week, seasonType = 'regular' }
+   * @returns {Promise<Array>} Normalized games
+   */
+  async fetchGames({ season, week, seasonType = 'regular' }) {
+    const postseason = seasonType === 'postseason';
+    const espnWeek = postseason ? POSTSEASON_WEEKS[week - 1] : week;
+    if (!espnWeek) {
+      throw new Error(`No ESPN week for ${seasonType} week ${week}`);
+    }
+
+    const type = postseason ? SEASON_TYPE_POSTSEASON : SEASON_TYPE_REGULAR;
+    const data = await request(`/scoreboard?dates=${season}&seasontype=${type}&week=${espnWeek}`);
+    return (data.events || []).map(normalizeEvent);
+  },
+
+  /**
+   * Fetch the season's games before a week, one scoreboard per week
+   * @param {Object} options - { season, week }
+   * @returns {Promise<Array>} Normalized games from earlier weeks
+   */
+  async fetchSeasonGames({ season, week }) {
+    const games = [];
+    for (let w = 1; w < week; w++) {
+      games.push(...await this.fetchGames({ season, week: w }));
+    }
+    return games;
+  },
+
+  /**
+   * Betting lines come with the scoreboard, so reuse the week's games
+   * @param {Object} options - { season, week, seasonType }
+   * @returns {Promise<Object>} { [game_id]: { spread, over_under } }
+   */
+  async fetchLines({ season, week, seasonType }) {
+    const games = await this.fetchGames({ season, week, seasonType });
+    const lines = {};
+
+    for (const game of games) {
+      if (game.spread === null) continue;
+      lines[game.id] = { spread: game.spread, over_under: game.over_under };
+    }
+
+    return lines;
+  },
+
+  /**
+   * Fetch team box scores, line scores and play-by-play for one game
+   * @param {Object} options - { game }
+   * @returns {Promise<Object>} { team_stats, line_scores, scoring_plays, quarter_yards }
+   */
+  async fetchGameDetails({ game }) {
+    const summary = await request(`/summary?event=${game.id}`);
+    const homeId = String(game.home_id);
+    const sideOf = team => String(team?.id) === homeId ? 'home' : 'away';
+
+    const teamStats = {};
+    for (const team of summary.boxscore?.teams || []) {
+      teamStats[sideOf(team.team)] = normalizeTeamStats(team.statistics, 'name', 'displayValue');
+    }
+
+    const competitors = summary.header?.competitions?.[0]?.competitors || [];
+    const home = competitors.find(c => c.homeAway === 'home') || {};
+    const away = competitors.find(c => c.homeAway === 'away') || {};
+
+    const scoringPlays = (summary.scoringPlays || []).map(play => ({
+      period: play.period?.number,
+      clock: play.clock?.displayValue || '',
+      team: sideOf(play.team),
+      type: play.type?.text || '',
+      text: play.text || '',
+      home_score: play.homeScore,
+      away_score: play.awayScore
+    }));
+
+    const plays = [];
+    for (const drive of summary.drives?.previous || []) {
+      for (const play of drive.plays || []) {
+        if (play.type?.text && !OFFENSE_PLAYS.test(play.type.text)) continue;
+        plays.push({ side: sideOf(drive.team), period: play.period?.number, yards: play.statYardage });
+      }
+    }
+
+    return {
+      team_stats: teamStats.home && teamStats.away ? teamStats : null,
+      line_scores: normalizeLineScores(home, away) || game.line_scores,
+      scoring_plays: scoringPlays,
+      quarter_yards: sumQuarterYards(plays)
+    };
+  },
+
+  /**
+   * Fetch NFL team metadata for the registry
+   * @returns {Promise<Array>} [{ id, name, abbr, color, alt_color, logo_url }]
+   */
+  async fetchTeams() {
+    const data = await request('/teams');
+    const teams = data.sports?.[0]?.leagues?.[0]?.teams || [];
+    const hex = value => value ? `#${value.replace(/^#/, '')}` : null;
+
+    return teams.map(({ team }) => ({
+      id: parseInt(team.id),
+      name: team.displayName,
+      abbr: team.abbreviation || null,
+      color: hex(team.color),
+      alt_color: hex(team.alternateColor),
+      logo_url: team.logos?.[0]?.href || null
+    }));
+  }
+};
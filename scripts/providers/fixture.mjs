@@ -0,0 +1,108 @@
+/**
+ * Local fixture provider for offline runs
+ * Reads scripts/fixtures/{scope}/week_NN.json, or post_NN.json for postseason
+ * rounds (or FIXTURES_DIR), falling back to the scope's stub.json when the
+ * week has no fixture
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = process.env.FIXTURES_DIR || join(__dirname, '..', 'fixtures');
+
+/**
+ * Load the fixture file for a scope and week
+ * @private
+ */
+function loadFixture(scope, week, seasonType = 'regular') {
+  const prefix = seasonType === 'postseason' ? 'post' : 'week';
+  const weekStr = String(week).padStart(2, '0');
+  const weekPath = join(FIXTURES_DIR, scope, `${prefix}_${weekStr}.json`);
+  const path = existsSync(weekPath) ? weekPath : join(FIXTURES_DIR, scope, 'stub.json');
+
+  if (!existsSync(path)) {
+    throw new Error(`No fixture for ${scope} ${seasonType} week ${week} in ${FIXTURES_DIR}`);
+  }
+
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+export const fixtureProvider = {
+  name: 'fixture',
+  scopes: ['cfb', 'nfl'],
+  source: 'fixture:local',
+
+  /**
+   * Fetch all games for a week or postseason round
+   * @param {Object} options - { season, week, scope, seasonType = 'regular' }
+   * @returns {Promise<Array>} Normalized games
+   */
+  async fetchGames({ season, week, scope, seasonType = 'regular' }) {
+    const fixture = loadFixture(scope, week, seasonType);
+    return (fixture.games || []).map(game => ({ season, week, season_type: seasonType, stakes: null, ...game }));
+  },
+
+  /**
+   * Fetch the season's games before a week from the scope's week fixtures
+   * (the stub is never used here, so missing weeks stay missing)
+   * @param {Object} options - { season, week, scope }
+   * @returns {Promise<Array>} Normalized games from earlier weeks
+   */
+  async fetchSeasonGames({ season, week, scope }) {
+    const dir = join(FIXTURES_DIR, scope);
+    if (!existsSync(dir)) return [];
+
+    const games = [];
+    for (const file of readdirSync(dir)) {
+      const match = file.match(/^week_(\d+)\.json$/);
+      if (!match || parseInt(match[1]) >= week) continue;
+
+      const fixture = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+      const fixtureWeek = parseInt(match[1]);
+      games.push(...(fixture.games || []).map(game => ({ season, week: fixtureWeek, ...game })));
+    }
+    return games;
+  },
+
+  /**
+   * Fetch box scores and scoring plays recorded in the fixture
+   * @param {Object} options - { week, scope, seasonType, game }
+   * @returns {Promise<Object>} { team_stats, line_scores, scoring_plays, quarter_yards }
+   */
+  async fetchGameDetails({ week, scope, seasonType, game }) {
+    const details = loadFixture(scope, week, seasonType).details?.[game.id];
+    if (!details) {
+      throw new Error(`No fixture details for game ${game.id}`);
+    }
+    return details;
+  },
+
+  /**
+   * Poll rankings recorded in the fixture
+   * @param {Object} options - { week, scope, seasonType }
+   * @returns {Promise<Array>} [{ poll, rank, team }]
+   */
+  async fetchRankings({ week, scope, seasonType }) {
+    return loadFixture(scope, week, seasonType).rankings || [];
+  },
+
+  /**
+   * Betting lines recorded in the fixture
+   * @param {Object} options - { week, scope, seasonType }
+   * @returns {Promise<Object>} { [game_id]: { spread, over_under } }
+   */
+  async fetchLines({ week, scope, seasonType }) {
+    return loadFixture(scope, week, seasonType).lines || {};
+  },
+
+  /**
+   * Win/loss records recorded in the fixture
+   * @param {Object} options - { week, scope, seasonType }
+   * @returns {Promise<Object>} { [team]: { wins, losses, ties } }
+   */
+  async fetchRecords({ week, scope, seasonType }) {
+    return loadFixture(scope, week, seasonType).records || {};
+  }
+};
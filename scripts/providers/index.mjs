@@ -0,0 +1,81 @@
+/**
+ * Data provider registry
+ * Maps a scope (cfb/nfl) to the provider that fetches its games
+ *
+ * Every provider normalizes its games into the shape `rankGames` and
+ * `mapToSchema` consume:
+ *
+ *   {
+ *     id, season, week, start_date, completed, periods,
+ *     conference_game, neutral_site,
+ *     home_id, home_team, home_conference, home_points,
+ *     away_id, away_team, away_conference, away_points,
+ *     line_scores,  // { home: [q1..], away: [q1..] } or null
+ *     season_type,  // 'regular' or 'postseason'
+ *     notes,        // bowl or round name, when the provider has one
+ *     stakes        // postseason only: 'bowl', 'playoff', 'semifinal' or 'final'
+ *   }
+ *
+ * `fetchGames` and the weekly signals take `seasonType`; postseason `week`
+ * is the round number from the season calendar (assets/calendar.js).
+ *
+ * `fetchGameDetails` adds the box score for a single game:
+ *
+ *   {
+ *     team_stats,    // { home: { total_yards, rushing_yards, passing_yards,
+ *                    //   turnovers, first_downs, third_down, possession }, away }
+ *     line_scores,   // { home: [...], away: [...] }
+ *     scoring_plays, // [{ period, clock, team: 'home'|'away', type, text,
+ *                    //   home_score, away_score }]
+ *     quarter_yards  // { home: [q1..], away: [q1..] } offensive yards
+ *   }
+ *
+ * Optional signals for ranking, when the provider has them:
+ *
+ *   fetchRankings() -> [{ poll: 'ap'|'coaches', rank, team }]
+ *   fetchLines()    -> { [game_id]: { spread, over_under } }
+ *                      spread is from the home team's view (-7 = home favored)
+ *   fetchRecords({ season, week }) -> { [team]: { wins, losses, ties } } going into `week`
+ *   fetchSeasonGames({ season, week }) -> normalized games from weeks before `week`
+ *   fetchTeams()    -> [{ id, name, abbr, color, alt_color, logo_url }]
+ *
+ * Games may also carry `home_record`/`away_record` directly (ESPN does).
+ */
+
+import { cfbdProvider } from './cfbd.mjs';
+import { espnProvider } from './espn.mjs';
+import { fixtureProvider } from './fixture.mjs';
+
+const PROVIDERS = {
+  cfbd: cfbdProvider,
+  espn: espnProvider,
+  fixture: fixtureProvider
+};
+
+// Default provider for each scope
+const SCOPE_PROVIDERS = {
+  cfb: 'cfbd',
+  nfl: 'espn'
+};
+
+/**
+ * Resolve the provider for a scope
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @param {string} [name] - Explicit provider name (overrides the scope default)
+ * @returns {Object} Provider object
+ */
+export function getProvider(scope, name) {
+  const key = name || SCOPE_PROVIDERS[scope];
+  const provider = PROVIDERS[key];
+
+  if (!provider) {
+    throw new Error(`Unknown provider "${key}" for scope "${scope}"`);
+  }
+  if (!provider.scopes.includes(scope)) {
+    throw new Error(`Provider "${key}" does not support scope "${scope}"`);
+  }
+
+  return provider;
+}
+
+export { fixtureProvider };
@@ -0,0 +1,63 @@
+/**
+ * Shared box-score helpers for providers
+ * CFBD and ESPN both name team stats in camelCase with the same keys
+ */
+
+// Provider stat name -> our field name
+const STAT_FIELDS = {
+  totalYards: 'total_yards',
+  rushingYards: 'rushing_yards',
+  netPassingYards: 'passing_yards',
+  turnovers: 'turnovers',
+  firstDowns: 'first_downs',
+  thirdDownEff: 'third_down',
+  possessionTime: 'possession'
+};
+
+// Fields kept as display strings ("5-13", "31:20")
+const STRING_FIELDS = ['third_down', 'possession'];
+
+/**
+ * Normalize a list of provider stat entries into our team stats object
+ * @param {Array} entries - Provider stat entries
+ * @param {string} nameKey - Entry key holding the stat name
+ * @param {string} valueKey - Entry key holding the stat value
+ * @returns {Object} e.g. { total_yards: 412, turnovers: 1, third_down: '5-13' }
+ */
+export function normalizeTeamStats(entries, nameKey, valueKey) {
+  const stats = {};
+
+  for (const entry of entries || []) {
+    const field = STAT_FIELDS[entry[nameKey]];
+    if (!field) continue;
+
+    const value = entry[valueKey];
+    stats[field] = STRING_FIELDS.includes(field) ? String(value) : parseInt(value) || 0;
+  }
+
+  return stats;
+}
+
+/**
+ * Sum offensive yards per quarter for each side
+ * @param {Array} plays - [{ side: 'home'|'away', period, yards }]
+ * @returns {Object} { home: [q1, q2, q3, q4, ...], away: [...] }
+ */
+export function sumQuarterYards(plays) {
+  const yards = { home: [], away: [] };
+
+  for (const play of plays) {
+    if (!yards[play.side] || !play.period) continue;
+
+    const quarter = yards[play.side];
+    while (quarter.length < play.period) quarter.push(0);
+    quarter[play.period - 1] += play.yards || 0;
+  }
+
+  const periods = Math.max(yards.home.length, yards.away.length);
+  for (const side of ['home', 'away']) {
+    while (yards[side].length < periods) yards[side].push(0);
+  }
+
+  return yards;
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Local mock for Web Push
+ * Plays both outside services so the whole flow runs on one machine:
+ *
+ *   Subscription store (what data/push.json's store_url points at)
+ *     POST /subscribe         { subscription, scopes }  - the app's subscribe control
+ *     POST /unsubscribe       { endpoint }
+ *     GET  /subscriptions     [{ subscription, scopes }] - what sendPush.mjs reads
+ *
+ *   Push service (stands in for the browser vendor's)
+ *     POST /mock/subscriptions  { scopes } - create a fake subscriber with its own keys
+ *     POST /push/:id            receive a push: checks VAPID, decrypts, logs it
+ *     GET  /push/:id            pushes that subscriber received so far
+ *
+ * Nothing is persisted. Usage: node scripts/pushServer.mjs (PORT, default 8787)
+ */
+
+import { createServer } from 'http';
+import { createECDH, randomBytes } from 'crypto';
+import { verifyVapid, decryptPayload } from './lib/webPush.mjs';
+
+const PORT = parseInt(process.env.PORT) || 8787;
+
+// endpoint -> { subscription, scopes }
+const subscribers = new Map();
+
+// Fake subscribers: id -> { keys, inbox }
+const mockSubscribers = new Map();
+
+/**
+ * @private
+ */
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+}
+
+/**
+ * @private
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create a fake subscriber, as a browser's pushManager.subscribe() would
+ * @private
+ */
+function createMockSubscriber(origin, scopes) {
+  const id = randomBytes(6).toString('hex');
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  const keys = {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: ecdh.getPrivateKey().toString('base64url'),
+    auth: randomBytes(16).toString('base64url')
+  };
+  mockSubscribers.set(id, { keys, inbox: [] });
+
+  const subscription = {
+    endpoint: `${origin}/push/${id}`,
+    expirationTime: null,
+    keys: { p256dh: keys.publicKey, auth: keys.auth }
+  };
+  subscribers.set(subscription.endpoint, { subscription, scopes });
+  return subscription;
+}
+
+/**
+ * Receive a push for a fake subscriber
+ * @private
+ */
+function receivePush(req, body, id, origin) {
+  const mock = mockSubscribers.get(id);
+  // Gone, as a real push service reports an unsubscribed endpoint
+  if (!mock) return [410, { error: 'No such subscription' }];
+
+  if (req.headers['content-encoding'] !== 'aes128gcm') {
+    return [400, { error: 'Content-Encoding must be aes128gcm' }];
+  }
+  if (!req.headers.ttl) {
+    return [400, { error: 'TTL header is required' }];
+  }
+
+  try {
+    verifyVapid(req.headers.authorization, origin);
+  } catch (error) {
+    return [401, { error: error.message }];
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(decryptPayload(body, mock.keys));
+  } catch (error) {
+    return [400, { error: `Could not decrypt: ${error.message}` }];
+  }
+
+  mock.inbox.push({ received_at: new Date().toISOString(), payload });
+  console.log(`📬 ${id}: ${payload.title} (${payload.url})`);
+  return [201, undefined];
+}
+
+const server = createServer(async (req, res) => {
+  const origin = `http://${req.headers.host}`;
+  const { pathname } = new URL(req.url, origin);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  try {
+    const body = await readBody(req);
+    const json = () => JSON.parse(body.toString('utf8') || '{}');
+    const pushId = pathname.match(/^\/push\/(\w+)$/)?.[1];
+
+    if (req.method === 'POST' && pathname === '/subscribe') {
+      const { subscription, scopes = [] } = json();
+      if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+        return send(res, 400, { error: 'subscription with endpoint and keys is required' });
+      }
+      subscribers.set(subscription.endpoint, { subscription, scopes });
+      console.log(`➕ Subscribed ${new URL(subscription.endpoint).origin} (${scopes.join(', ') || 'all scopes'})`);
+      return send(res, 201, { ok: true });
+    }
+
+    if (req.method === 'POST' && pathname === '/unsubscribe') {
+      const { endpoint } = json();
+      const removed = subscribers.delete(endpoint);
+      // A fake subscriber that unsubscribes is gone from the push service too
+      const mockId = String(endpoint).match(/\/push\/(\w+)$/)?.[1];
+      if (mockId) mockSubscribers.delete(mockId);
+      console.log(`➖ Unsubscribed ${endpoint}${removed ? '' : ' (not found)'}`);
+      return send(res, 200, { ok: true, removed });
+    }
+
+    if (req.method === 'GET' && pathname === '/subscriptions') {
+      if (process.env.PUSH_TOKEN && req.headers.authorization !== `Bearer ${process.env.PUSH_TOKEN}`) {
+        return send(res, 401, { error: 'Bad token' });
+      }
+      return send(res, 200, [...subscribers.values()]);
+    }
+
+    if (req.method === 'POST' && pathname === '/mock/subscriptions') {
+      const { scopes = [] } = json();
+      return send(res, 201, createMockSubscriber(origin, scopes));
+    }
+
+    if (req.method === 'POST' && pushId) {
+      const [status, result] = receivePush(req, body, pushId, origin);
+      return send(res, status, result);
+    }
+
+    if (req.method === 'GET' && pushId && mockSubscribers.has(pushId)) {
+      return send(res, 200, mockSubscribers.get(pushId).inbox);
+    }
+
+    send(res, 404, { error: 'Not found' });
+  } catch (error) {
+    send(res, 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Mock push server on http://localhost:${PORT}`);
+  console.log(`   Store for data/push.json: "store_url": "http://localhost:${PORT}"`);
+  console.log(`   Fake subscriber: curl -X POST http://localhost:${PORT}/mock/subscriptions -d '{"scopes":["cfb"]}'`);
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Team registry refresher
+ * Pulls team metadata from the scope's provider into data/teams/{scope}.json.
+ * Hand-edited abbreviations are kept; IDs and colors are updated.
+ *
+ * Usage: SCOPE=cfb node scripts/refreshTeams.mjs [--logos]
+ *   --logos  Also download logos to assets/logos/{scope}/{id}.png
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getProvider } from './providers/index.mjs';
+import { loadTeamRegistry, saveTeamRegistry, findTeam, registryPath } from './lib/teams.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SEASON = parseInt(process.env.SEASON) || new Date().getFullYear();
+const SCOPE = process.env.SCOPE || 'cfb';
+const DOWNLOAD_LOGOS = process.argv.includes('--logos');
+
+const provider = getProvider(SCOPE, process.env.PROVIDER);
+
+/**
+ * Download a logo to its local asset path
+ */
+async function downloadLogo(url, logoPath) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const file = join(__dirname, '..', logoPath);
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Main refresh function
+ */
+async function refreshTeams() {
+  if (!provider.fetchTeams) {
+    throw new Error(`Provider "${provider.name}" can't list teams`);
+  }
+
+  console.log(`📡 Fetching ${SCOPE.toUpperCase()} teams from ${provider.name}...`);
+  const teams = await provider.fetchTeams({ season: SEASON, scope: SCOPE });
+  console.log(`✓ Found ${teams.length} teams`);
+
+  const registry = loadTeamRegistry(SCOPE);
+  let added = 0;
+
+  for (const team of teams) {
+    let entry = findTeam(registry, team.name, team.id, provider.name);
+    if (!entry) {
+      entry = registry.teams[team.name] = {
+        abbr: team.abbr || team.name.substring(0, 4).toUpperCase(),
+        ids: {},
+        color: null,
+        alt_color: null,
+        logo: `/assets/logos/${SCOPE}/${team.id}.png`
+      };
+      added++;
+    }
+
+    entry.ids[provider.name] = team.id;
+    entry.color = team.color || entry.color;
+    entry.alt_color = team.alt_color || entry.alt_color;
+
+    if (DOWNLOAD_LOGOS && team.logo_url) {
+      try {
+        await downloadLogo(team.logo_url, entry.logo);
+      } catch (error) {
+        console.warn(`⚠️  Logo for ${team.name} failed:`, error.message);
+      }
+    }
+  }
+
+  registry.updated_at = new Date().toISOString();
+  saveTeamRegistry(registry);
+  console.log(`✅ ${added} new, ${teams.length - added} updated in ${registryPath(SCOPE)}`);
+}
+
+refreshTeams().catch(err => {
+  console.error('❌ Refresh failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Print the week in progress on the season calendar, as key=value lines
+ * (the format GitHub Actions reads from $GITHUB_OUTPUT). SEASON, WEEK and
+ * SEASON_TYPE pin a specific week or postseason round instead; SEASON on
+ * its own means that season's final week (of SEASON_TYPE, when set).
+ *
+ * Usage: SCOPE=cfb [SEASON=2025] [WEEK=3] [SEASON_TYPE=regular] node scripts/resolveWeek.mjs [YYYY-MM-DD]
+ */
+
+import { SeasonCalendar } from './lib/calendar.mjs';
+
+const SCOPE = process.env.SCOPE || 'cfb';
+const date = process.argv[2] ? new Date(process.argv[2]) : new Date();
+
+let current = SeasonCalendar.resolve(SCOPE, date);
+if (process.env.WEEK) {
+  const season = parseInt(process.env.SEASON) || current?.season;
+  current = season ? SeasonCalendar.find(SCOPE, season, process.env.SEASON_TYPE || 'regular', parseInt(process.env.WEEK)) : null;
+} else if (process.env.SEASON) {
+  current = SeasonCalendar.last(SCOPE, parseInt(process.env.SEASON), process.env.SEASON_TYPE);
+}
+
+if (!current) {
+  console.error(`❌ No ${SCOPE} calendar week for SEASON=${process.env.SEASON || ''} WEEK=${process.env.WEEK || ''}`);
+  process.exit(1);
+}
+
+console.log(`season=${current.season}`);
+console.log(`season_type=${current.seasonType}`);
+console.log(`week=${current.week}`);
+console.log(`label=${current.label}`);
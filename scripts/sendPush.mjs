@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * New-draft push sender
+ * Sends a Web Push notification announcing each draft given (or, by default,
+ * the newest draft per scope in data/index.json) to every subscriber of that
+ * scope. Subscriptions come from a store (PUSH_STORE_URL, the API the app's
+ * subscribe control talks to) or a JSON file (PUSH_SUBSCRIPTIONS); expired
+ * ones are removed from either.
+ *
+ * Usage:
+ *   node scripts/sendPush.mjs [draft ...]
+ *   node scripts/sendPush.mjs --generate-keys
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, relative } from 'path';
+import { generateVapidKeys, sendNotification } from './lib/webPush.mjs';
+import { loadManifest, manifestEntry } from './lib/manifest.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROOT = join(__dirname, '..');
+
+const SCOPE_NAMES = { cfb: 'College Football', nfl: 'NFL' };
+
+// Drafts only; overrides files and the example don't get announced
+const DRAFT_FILE = /(^|\/)(week|post)_\d+\.json$/;
+
+const VAPID = {
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  subject: process.env.VAPID_SUBJECT || 'mailto:admin@example.com'
+};
+const STORE_URL = process.env.PUSH_STORE_URL ? process.env.PUSH_STORE_URL.replace(/\/$/, '') : null;
+const SUBSCRIPTIONS_FILE = process.env.PUSH_SUBSCRIPTIONS ? resolve(process.env.PUSH_SUBSCRIPTIONS) : null;
+
+/**
+ * Headers for store requests
+ * @private
+ */
+function storeHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    ...(process.env.PUSH_TOKEN ? { 'Authorization': `Bearer ${process.env.PUSH_TOKEN}` } : {})
+  };
+}
+
+/**
+ * Every subscriber: [{ subscription, scopes }]
+ * @private
+ */
+async function loadSubscribers() {
+  if (SUBSCRIPTIONS_FILE) {
+    return JSON.parse(readFileSync(SUBSCRIPTIONS_FILE, 'utf8'));
+  }
+
+  const response = await fetch(`${STORE_URL}/subscriptions`, { headers: storeHeaders() });
+  if (!response.ok) {
+    throw new Error(`Subscription store error: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Forget subscriptions the push service says are gone
+ * @private
+ */
+async function removeSubscribers(subscribers, endpoints) {
+  if (SUBSCRIPTIONS_FILE) {
+    const kept = subscribers.filter(record => !endpoints.includes(record.subscription.endpoint));
+    writeFileSync(SUBSCRIPTIONS_FILE, JSON.stringify(kept, null, 2) + '\n');
+    return;
+  }
+
+  for (const endpoint of endpoints) {
+    await fetch(`${STORE_URL}/unsubscribe`, {
+      method: 'POST',
+      headers: storeHeaders(),
+      body: JSON.stringify({ endpoint })
+    });
+  }
+}
+
+/**
+ * Drafts to announce: [{ scope, entry }]
+ * @private
+ */
+function draftsToAnnounce(files) {
+  if (files.length > 0) {
+    return files.filter(file => DRAFT_FILE.test(file)).map(file => {
+      const path = resolve(file);
+      const draft = JSON.parse(readFileSync(path, 'utf8'));
+      return { scope: draft.meta.scope, entry: manifestEntry(draft, '/' + relative(ROOT, path)) };
+    });
+  }
+
+  const scopes = process.env.SCOPE ? [process.env.SCOPE] : ['cfb', 'nfl'];
+  const manifest = loadManifest();
+  return scopes
+    .filter(scope => manifest.scopes[scope]?.length)
+    .map(scope => ({ scope, entry: manifest.scopes[scope][0] }));
+}
+
+/**
+ * Notification for a draft; `url` opens that week in the app
+ * @param {string} scope - 'cfb' or 'nfl'
+ * @param {Object} entry - Index entry (see manifestEntry)
+ * @returns {Object} { title, body, url, tag }
+ * @private
+ */
+function notificationFor(scope, entry) {
+  const params = new URLSearchParams();
+  if (scope !== 'cfb') params.set('scope', scope);
+  params.set('season', String(entry.season));
+  params.set('week', entry.season_type === 'postseason' ? `post${entry.week}` : String(entry.week));
+
+  return {
+    title: `${SCOPE_NAMES[scope] || scope.toUpperCase()}: ${entry.label} is ready`,
+    body: entry.headline
+      ? `${entry.headline.match}, ${entry.headline.final}, and the rest of the week's top games.`
+      : 'The top games, quick opinions and what\'s next.',
+    url: `/?${params}`,
+    tag: `draft-${scope}`
+  };
+}
+
+/**
+ * Main send function
+ */
+async function sendPush() {
+  if (process.argv.includes('--generate-keys')) {
+    const keys = generateVapidKeys();
+    console.log('VAPID_PUBLIC_KEY=' + keys.publicKey);
+    console.log('VAPID_PRIVATE_KEY=' + keys.privateKey);
+    console.log('\nPut the public key in data/push.json and keep the private key secret.');
+    return;
+  }
+
+  // Not set up yet is not an error: the workflow calls this every time
+  if (!VAPID.publicKey || !VAPID.privateKey || (!STORE_URL && !SUBSCRIPTIONS_FILE)) {
+    console.warn('⚠️  Push not configured (VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and PUSH_STORE_URL or PUSH_SUBSCRIPTIONS); skipping');
+    return;
+  }
+
+  const drafts = draftsToAnnounce(process.argv.slice(2));
+  if (drafts.length === 0) {
+    console.log('⚠️  No drafts to announce');
+    return;
+  }
+
+  const subscribers = await loadSubscribers();
+  const expired = [];
+  let failed = 0;
+
+  for (const { scope, entry } of drafts) {
+    const notification = notificationFor(scope, entry);
+    const recipients = subscribers.filter(record =>
+      !record.scopes?.length || record.scopes.includes(scope));
+    console.log(`📡 ${notification.title} → ${recipients.length} subscriber${recipients.length !== 1 ? 's' : ''}`);
+
+    let sent = 0;
+    for (const { subscription } of recipients) {
+      try {
+        const result = await sendNotification(subscription, notification, VAPID);
+        if (result.ok) {
+          sent++;
+        } else if (result.expired) {
+          expired.push(subscription.endpoint);
+        } else {
+          failed++;
+          console.warn(`⚠️  Push to ${new URL(subscription.endpoint).origin} failed: ${result.status}`);
+        }
+      } catch (error) {
+        failed++;
+        console.warn(`⚠️  Push to ${subscription.endpoint} failed:`, error.message);
+      }
+    }
+    console.log(`✅ Sent ${sent} of ${recipients.length}`);
+  }
+
+  if (expired.length > 0) {
+    const unique = [...new Set(expired)];
+    await removeSubscribers(subscribers, unique);
+    console.log(`🧹 Removed ${unique.length} expired subscription${unique.length !== 1 ? 's' : ''}`);
+  }
+
+  if (failed > 0) {
+    console.error(`❌ ${failed} notification${failed !== 1 ? 's' : ''} failed`);
+    process.exit(1);
+  }
+}
+
+sendPush().catch(error => {
+  console.error('❌ Push failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Draft validator
+ * Checks every draft, overrides and game detail file under data/ (or the files given)
+ * against the schemas in assets/schema.js. Exits 1 if any file is invalid.
+ *
+ * Usage: node scripts/validateDrafts.mjs [file ...]
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, relative, basename } from 'path';
+import { validateDraft, validateOverrides, validateDetail, formatErrors } from './lib/draftSchema.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROOT = join(__dirname, '..');
+const DATA_DIR = join(ROOT, 'data');
+
+// Draft files only; data/teams/ and other JSON in data/ are not drafts
+const DRAFT_FILE = /^(week|post)_\d+(\.example|\.overrides)?\.json$/;
+const OVERRIDES_FILE = /\.overrides\.json$/;
+
+// Game details live in each season's games/ folder
+const DETAIL_FILE = /[\\/]games[\\/][^\\/]+\.json$/;
+
+/**
+ * Every draft file under a directory
+ * @private
+ */
+function findDrafts(dir) {
+  const files = [];
+  for (const name of readdirSync(dir).sort()) {
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) {
+      if (name !== 'teams') files.push(...findDrafts(path));
+    } else if (DRAFT_FILE.test(name) || DETAIL_FILE.test(path)) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Validate one file, returning its error lines
+ * @private
+ */
+function checkFile(path) {
+  let draft;
+  try {
+    draft = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    return [`not readable JSON: ${error.message}`];
+  }
+  let errors;
+  if (OVERRIDES_FILE.test(path)) {
+    errors = validateOverrides(draft);
+  } else if (DETAIL_FILE.test(path)) {
+    errors = validateDetail(draft);
+  } else {
+    errors = validateDraft(draft);
+  }
+  return formatErrors(errors);
+}
+
+/**
+ * Main validate function
+ */
+function validateDrafts() {
+  const args = process.argv.slice(2);
+  const files = args.length > 0 ? args.map(file => resolve(file)) : findDrafts(DATA_DIR);
+
+  if (files.length === 0) {
+    console.log('⚠️  No drafts found under data/');
+    return;
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    const name = relative(ROOT, file) || basename(file);
+    const errors = checkFile(file);
+
+    if (errors.length === 0) {
+      console.log(`✓ ${name}`);
+      continue;
+    }
+
+    failed++;
+    console.error(`❌ ${name}`);
+    for (const line of errors) {
+      console.error(`   ${line}`);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${files.length} files invalid`);
+    process.exit(1);
+  }
+  console.log(`✅ ${files.length} files valid`);
+}
+
+validateDrafts();
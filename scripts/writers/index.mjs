@@ -0,0 +1,45 @@
+/**
+ * Recap writer registry
+ * Maps a writer name to the backend that writes each top game's text
+ *
+ * Every writer takes the recap input from `recapInput` (lib/recapFacts.mjs):
+ *
+ *   {
+ *     game_id, season, week,
+ *     winner: { team, points, rank }, loser: { team, points, rank },
+ *     margin, total_points, periods, overtime,
+ *     spread, upset,   // upset: points the underdog winner was getting (0 if none)
+ *     stakes, notes,   // postseason only
+ *     shape,           // 'overtime', 'comeback', 'upset', 'blowout', 'defensive',
+ *                      // 'shootout', 'close' or 'control'
+ *     facts,           // computeFacts output (lib/gameFacts.mjs)
+ *     fact_lines       // [{ key, stat, why }] from the box score, strongest first
+ *   }
+ *
+ * and resolves to { recap_2s, one_stat, why_it_mattered }. The generator
+ * runs every recap through `checkRecap` (lib/recapCheck.mjs) and falls back
+ * to the template writer when another writer fails or its text doesn't check out.
+ */
+
+import { templateWriter } from './template.mjs';
+import { llmWriter } from './llm.mjs';
+
+const WRITERS = {
+  template: templateWriter,
+  llm: llmWriter
+};
+
+/**
+ * Resolve a recap writer
+ * @param {string} [name] - 'template' (default) or 'llm'
+ * @returns {Object} Writer object
+ */
+export function getWriter(name = 'template') {
+  const writer = WRITERS[name];
+  if (!writer) {
+    throw new Error(`Unknown recap writer "${name}"`);
+  }
+  return writer;
+}
+
+export { templateWriter, llmWriter };
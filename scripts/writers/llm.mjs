@@ -0,0 +1,104 @@
+/**
+ * LLM recap writer
+ * Sends the recap input to an OpenAI-compatible chat completions endpoint
+ * (a local llama.cpp or Ollama server, or a hosted API) and reads back JSON
+ */
+
+import { RECAP_LIMITS } from '../lib/recapCheck.mjs';
+
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+
+const SYSTEM_PROMPT = [
+  'You write recaps for a weekly football digest.',
+  'Use only the facts in the JSON you are given: no players, plays, records or numbers that are not in it.',
+  'Use team names exactly as given and keep the winner and loser straight.',
+  'Reply with only a JSON object with these string keys:',
+  `"recap_2s": at most ${RECAP_LIMITS.recap_2s.sentences} sentences and ${RECAP_LIMITS.recap_2s.chars} characters, including the final score;`,
+  `"one_stat": one stat from the facts, at most ${RECAP_LIMITS.one_stat.chars} characters;`,
+  `"why_it_mattered": one sentence, at most ${RECAP_LIMITS.why_it_mattered.chars} characters.`,
+  'Write scores winner first with an en dash, like 27–24.'
+].join(' ');
+
+/**
+ * The facts the model sees: the recap input without internals
+ * @private
+ */
+function promptFacts(input) {
+  const facts = Object.fromEntries(Object.entries(input.facts).filter(([, value]) => value !== null));
+
+  return {
+    winner: input.winner,
+    loser: input.loser,
+    final_score: `${input.winner.points}–${input.loser.points}`,
+    margin: input.margin,
+    total_points: input.total_points,
+    periods: input.periods,
+    overtime: input.overtime,
+    underdog_won_by_spread: input.upset || null,
+    stakes: input.stakes,
+    notes: input.notes,
+    story: input.shape,
+    box_score: facts,
+    notable: input.fact_lines.map(line => line.why)
+  };
+}
+
+/**
+ * Parse the model's reply, tolerating a ```json fence around it
+ * @private
+ */
+function parseReply(content) {
+  const json = String(content || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  const reply = JSON.parse(json);
+
+  for (const field of ['recap_2s', 'one_stat', 'why_it_mattered']) {
+    if (typeof reply[field] !== 'string') {
+      throw new Error(`Reply is missing ${field}`);
+    }
+  }
+
+  return {
+    recap_2s: reply.recap_2s.trim(),
+    one_stat: reply.one_stat.trim(),
+    why_it_mattered: reply.why_it_mattered.trim()
+  };
+}
+
+export const llmWriter = {
+  name: 'llm',
+
+  /**
+   * Ask the model for a recap
+   * @param {Object} input - Output of recapInput
+   * @param {Object} options - { baseUrl, model, apiKey, timeoutMs }
+   * @returns {Promise<Object>} { recap_2s, one_stat, why_it_mattered }
+   */
+  async write(input, { baseUrl = DEFAULT_BASE_URL, model = 'local', apiKey, timeoutMs = 30000 } = {}) {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0,
+        seed: 1,
+        max_tokens: 400,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: JSON.stringify(promptFacts(input)) }
+        ]
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return parseReply(data.choices?.[0]?.message?.content);
+  }
+};
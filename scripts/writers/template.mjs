@@ -0,0 +1,247 @@
+/**
+ * Template recap writer
+ * Fills phrase-bank templates from the recap input. Choices are seeded by
+ * game ID (plus RECAP_SEED), so reruns produce the same text.
+ */
+
+// Sentence 1: what happened
+const OPENERS = {
+  overtime: [
+    '{winner} outlasted {loser} {score} in {ot}.',
+    '{winner} needed {ot} to get past {loser}, {score}.',
+    'Regulation settled nothing; {winner} finished off {loser} {score} in {ot}.',
+    '{winner} survived {loser} {score} after {ot}.',
+    'It took {ot}, but {winner} beat {loser} {score}.'
+  ],
+  comeback: [
+    '{winner} erased a {deficit}-point deficit to beat {loser} {score}.',
+    'Down {deficit}, {winner} came all the way back to beat {loser} {score}.',
+    '{winner} climbed out of a {deficit}-point hole and beat {loser} {score}.',
+    '{loser} led by {deficit} and still lost, {score}, to {winner}.',
+    '{winner} rallied from {deficit} points down to take it from {loser}, {score}.'
+  ],
+  upset: [
+    '{winner}, a {upset}-point underdog, beat {loser} {score}.',
+    'The line had {loser} by {upset}; {winner} won it {score}.',
+    '{winner} upset {loser} {score} as a {upset}-point underdog.',
+    '{loser} came in favored by {upset} and left with a {score} loss to {winner}.',
+    '{winner} ignored the {upset}-point spread and beat {loser} {score}.'
+  ],
+  blowout: [
+    '{winner} routed {loser} {score}.',
+    '{winner} beat {loser} by {margin}, {score}, and it was never close.',
+    '{winner} ran {loser} off the field, {score}.',
+    '{loser} had no answers in a {score} loss to {winner}.',
+    '{winner} rolled past {loser} {score}.'
+  ],
+  defensive: [
+    '{winner} won a defensive grind over {loser}, {score}.',
+    'Points were scarce as {winner} beat {loser} {score}.',
+    '{winner} beat {loser} {score} in a game that belonged to the defenses.',
+    'Neither offense found much room, and {winner} got by {loser} {score}.',
+    '{winner} made {score} hold up against {loser}.'
+  ],
+  shootout: [
+    '{winner} outscored {loser} {score} in a shootout.',
+    '{winner} won a {total}-point shootout over {loser}, {score}.',
+    'The defenses never caught up as {winner} beat {loser} {score}.',
+    '{winner} topped {loser} {score} with points on nearly every trip.',
+    '{winner} and {loser} traded scores all day before {winner} won {score}.'
+  ],
+  close: [
+    '{winner} held off {loser} {score}.',
+    '{winner} edged {loser} by {points}, {score}.',
+    '{winner} got past {loser} {score} in a one-score finish.',
+    '{loser} kept it close, but {winner} won {score}.',
+    '{winner} pulled out a {margin}-point win over {loser}, {score}.'
+  ],
+  control: [
+    '{winner} beat {loser} {score}.',
+    '{winner} handled {loser} {score}.',
+    '{winner} controlled the game and beat {loser} {score}.',
+    '{winner} pulled away from {loser} for a {score} win.',
+    '{winner} took command and beat {loser} {score}.'
+  ]
+};
+
+// Sentence 2: how it felt
+const FOLLOW_UPS = {
+  overtime: [
+    'Neither side could put the other away in regulation.',
+    'Every possession in the extra period carried the whole game.',
+    'Both teams had chances to end it before the final score.'
+  ],
+  comeback: [
+    '{winner} kept coming after falling behind.',
+    '{loser} could not hold on once the momentum turned.',
+    'The rally changed the game after {loser} had it in hand.'
+  ],
+  upset: [
+    'The result will shake up how {loser} is viewed.',
+    'The spread said one thing; the scoreboard said another.',
+    'The betting line never looked right once the game started.'
+  ],
+  blowout: [
+    'It was a statement win for {winner}.',
+    '{loser} never found a way to slow {winner} down.',
+    'The margin reflected how one-sided it was.'
+  ],
+  defensive: [
+    'Every yard was hard to come by.',
+    'Field position and stops decided it.',
+    'Neither offense could sustain drives for long.'
+  ],
+  shootout: [
+    'Stops were rare on both sides.',
+    'The final margin came down to who got one more stop.',
+    'Both offenses moved at will, but {winner} had the final answer.'
+  ],
+  close: [
+    'The decisive moments came late in the game.',
+    'A single play in the fourth quarter could have flipped it.',
+    '{loser} was one score away at the finish.'
+  ],
+  control: [
+    '{winner} was the better team on the day.',
+    'The decisive moments came when {winner} established momentum.',
+    '{loser} never mounted a serious threat.'
+  ]
+};
+
+// "Why it mattered" when the box score offers nothing better
+const WHY_FALLBACKS = {
+  overtime: [
+    'An overtime result is as close as a game gets.',
+    'Extra time decided it, so the margin undersells how even it was.'
+  ],
+  comeback: [
+    'Comebacks like this one show what a team has in the second half.',
+    '{winner} proved it can win from behind.'
+  ],
+  upset: [
+    'An underdog winning by this much moves expectations for both teams.',
+    '{loser} was expected to win and did not.'
+  ],
+  blowout: [
+    'A {margin}-point margin says a lot about the gap between these teams.',
+    '{winner} left no doubt about which team was better.'
+  ],
+  defensive: [
+    'With {total} combined points, every stop mattered.',
+    'The defenses decided this one more than the offenses did.'
+  ],
+  shootout: [
+    'The high-scoring affair showcased explosive offenses struggling to get defensive stops.',
+    '{total} combined points left both defenses with work to do.'
+  ],
+  close: [
+    'A single big play or stop swung momentum in this tightly contested game.',
+    'One-score games like this come down to a handful of snaps.'
+  ],
+  control: [
+    'The winner established control and never let their opponent back in the game.',
+    '{winner} did what a better team should do.'
+  ]
+};
+
+/**
+ * FNV-1a hash of a string
+ * @private
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Pick from a list, the same way every time for the same key
+ * @private
+ */
+function pick(options, key) {
+  return options[hash(key) % options.length];
+}
+
+/**
+ * Replace {placeholders} with values
+ * @private
+ */
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match);
+}
+
+/**
+ * "overtime", "double overtime", "3 overtimes"
+ * @private
+ */
+function overtimeLabel(periods) {
+  const count = periods - 4;
+  if (count <= 1) return 'overtime';
+  if (count === 2) return 'double overtime';
+  return `${count} overtimes`;
+}
+
+/**
+ * Template variables for a recap input
+ * @private
+ */
+function variables(input) {
+  return {
+    winner: input.winner.team,
+    loser: input.loser.team,
+    score: `${input.winner.points}–${input.loser.points}`,
+    margin: input.margin,
+    points: `${input.margin} point${input.margin !== 1 ? 's' : ''}`,
+    total: input.total_points,
+    deficit: input.facts.deficit_overcome,
+    upset: input.upset,
+    ot: overtimeLabel(input.periods)
+  };
+}
+
+export const templateWriter = {
+  name: 'template',
+
+  /**
+   * Write a recap from the phrase bank
+   * @param {Object} input - Output of recapInput
+   * @param {Object} [options] - { seed } to vary phrasing reproducibly
+   * @returns {Promise<Object>} { recap_2s, one_stat, why_it_mattered }
+   */
+  async write(input, { seed = '' } = {}) {
+    const vars = variables(input);
+    const key = slot => `${seed}:${input.game_id}:${slot}`;
+    const shape = input.shape;
+
+    const recap = [
+      fill(pick(OPENERS[shape], key('opener')), vars),
+      fill(pick(FOLLOW_UPS[shape], key('follow')), vars)
+    ].join(' ');
+
+    // Strongest fact wins the stat line; overtime still takes precedence
+    const statLine = input.overtime ? null : input.fact_lines[0];
+    let oneStat;
+    if (input.overtime) {
+      oneStat = `${input.periods} periods total`;
+    } else if (statLine) {
+      oneStat = statLine.stat;
+    } else if (shape === 'shootout' || shape === 'defensive') {
+      oneStat = `Combined ${input.total_points} points`;
+    } else if (shape === 'upset') {
+      oneStat = `Won as a ${input.upset}-point underdog`;
+    } else if (input.margin <= 8) {
+      oneStat = `${input.margin}-point margin`;
+    } else {
+      oneStat = `${input.winner.team} won by ${input.margin}`;
+    }
+
+    // Explain with the next fact so "why" doesn't repeat the stat
+    const whyLine = input.fact_lines.find(line => line !== statLine);
+    const why = whyLine ? whyLine.why : fill(pick(WHY_FALLBACKS[shape], key('why')), vars);
+
+    return { recap_2s: recap, one_stat: oneStat, why_it_mattered: why };
+  }
+};
@@ -1,81 +1,260 @@
 /**
  * Service Worker for offline caching
- * Implements cache-first for shell, stale-while-revalidate for data
+ * Precaches the shell listed in asset-manifest.js (npm run build) and the
+ * newest drafts from data/index.json. Shell and data live in separate caches:
+ * the shell cache is replaced whenever the shell changes, the data cache is
+ * kept across versions but has size and age limits.
  */
 
-const CACHE_VERSION = 'v1';
-const CACHE_NAME = `five-minute-football-${CACHE_VERSION}`;
+importScripts('/asset-manifest.js');
 
-// Shell assets (cache-first)
-const SHELL_ASSETS = [
-  '/',
-  '/index.html',
-  '/manifest.webmanifest',
-  '/assets/app.js',
-  '/assets/state.js',
-  '/assets/render.js'
-];
+const CACHE_PREFIX = 'five-minute-football';
+const SHELL_CACHE = `${CACHE_PREFIX}-shell-${self.ASSET_MANIFEST.version}`;
+const DATA_CACHE = `${CACHE_PREFIX}-data`;
 
-// Install: cache shell assets
+// Shell assets (cache-first), from the build
+const SHELL_ASSETS = Object.keys(self.ASSET_MANIFEST.assets);
+
+// Data cache limits; expired entries are only served when offline
+const DATA_MAX_ENTRIES = 60;
+const DATA_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// Newest drafts per scope kept offline
+const PRECACHE_WEEKS = 4;
+
+// Header stamped on cached data responses
+const CACHED_AT = 'x-cached-at';
+
+// Drafts written before they were split by season (/data/cfb/week_01.json)
+const LEGACY_DRAFT = /^\/data\/[a-z]+\/(week|post)_\d+\.json$/;
+
+/**
+ * When a data response was cached (0 if unknown)
+ */
+function cachedAt(response) {
+  return Number(response.headers.get(CACHED_AT)) || 0;
+}
+
+/**
+ * Whether a cached data response is past DATA_MAX_AGE
+ */
+function isExpired(response) {
+  return Date.now() - cachedAt(response) > DATA_MAX_AGE;
+}
+
+/**
+ * Store a data response, stamped so it can expire
+ */
+async function putData(request, response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT, String(Date.now()));
+  const stamped = new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+
+  const cache = await caches.open(DATA_CACHE);
+  await cache.put(request, stamped);
+}
+
+/**
+ * Drop expired data, then the oldest entries beyond DATA_MAX_ENTRIES
+ */
+async function trimData() {
+  const cache = await caches.open(DATA_CACHE);
+  const entries = await Promise.all(
+    (await cache.keys()).map(async request => ({ request, response: await cache.match(request) }))
+  );
+
+  const live = [];
+  for (const entry of entries) {
+    if (!entry.response || isExpired(entry.response)) {
+      await cache.delete(entry.request);
+    } else {
+      live.push(entry);
+    }
+  }
+
+  live.sort((a, b) => cachedAt(b.response) - cachedAt(a.response));
+  await Promise.all(live.slice(DATA_MAX_ENTRIES).map(entry => cache.delete(entry.request)));
+}
+
+/**
+ * Cache the newest PRECACHE_WEEKS drafts per scope (and each scope's team
+ * registry) so recent weeks open offline; drafts already cached are kept
+ * @param {Object} index - Parsed data/index.json
+ */
+async function precacheDrafts(index) {
+  const cache = await caches.open(DATA_CACHE);
+  const paths = [];
+  for (const [scope, entries] of Object.entries(index.scopes || {})) {
+    paths.push(`/data/teams/${scope}.json`);
+    paths.push(...entries.slice(0, PRECACHE_WEEKS).map(entry => entry.path));
+  }
+
+  await Promise.all(paths.map(async path => {
+    const cached = await cache.match(path);
+    if (cached && !isExpired(cached)) return;
+
+    try {
+      const response = await fetch(path);
+      if (response.ok) await putData(path, response);
+    } catch (error) {
+      // Offline or missing: the draft loads from the network when opened
+    }
+  }));
+
+  await trimData();
+}
+
+/**
+ * Fetch the draft index and precache the drafts it lists
+ */
+async function refreshDrafts() {
+  try {
+    const response = await fetch('/data/index.json', { cache: 'no-cache' });
+    if (!response.ok) return;
+    await putData('/data/index.json', response.clone());
+    await precacheDrafts(await response.json());
+  } catch (error) {
+    // No index yet (or offline): nothing to precache
+  }
+}
+
+// Install: cache the shell (bypassing the HTTP cache) and the newest drafts.
+// A new version waits until the page asks it to take over (see SKIP_WAITING).
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(SHELL_ASSETS))
-      .then(() => self.skipWaiting())
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS.map(path => new Request(path, { cache: 'reload' }))))
+      .then(() => refreshDrafts())
   );
 });
 
-// Activate: clean up old caches
+// The page's "New version available" banner asks the waiting worker to activate
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Activate: drop old shell caches (and pre-split caches), keep the data cache
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys()
       .then(keys => {
         return Promise.all(
           keys
-            .filter(key => key !== CACHE_NAME)
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== DATA_CACHE)
             .map(key => caches.delete(key))
         );
       })
+      .then(() => trimData())
       .then(() => self.clients.claim())
   );
 });
 
-// Fetch: serve from cache, update in background for stale-while-revalidate
+// Push: a new draft is out (scripts/sendPush.mjs). Cache it along with the
+// notification so the week opens even if the reader is offline by then.
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(Promise.all([
+    self.registration.showNotification(data.title || 'Five-Minute Football', {
+      body: data.body || 'A new draft is ready.',
+      tag: data.tag,
+      renotify: Boolean(data.tag),
+      data: { url: data.url || '/' }
+    }),
+    refreshDrafts()
+  ]));
+});
+
+// Notification click: open the announced week, reusing an open tab if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(windows => {
+        const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (!open) return self.clients.openWindow(url);
+        return open.focus()
+          .then(client => client.navigate(url))
+          .catch(() => self.clients.openWindow(url));
+      })
+  );
+});
+
+// Fetch: cache-first shell, network-first index, stale-while-revalidate data
 self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
-  
-  // Only handle same-origin requests
-  if (url.origin !== self.location.origin) {
+
+  // Only handle same-origin GETs
+  if (url.origin !== self.location.origin || event.request.method !== 'GET') {
     return;
   }
 
-  // Cache-first for shell assets
-  if (SHELL_ASSETS.some(asset => url.pathname === asset || url.pathname.startsWith('/assets/'))) {
+  // Cache-first for shell assets; match by path so "/?week=3" finds "/"
+  if (SHELL_ASSETS.includes(url.pathname)) {
     event.respondWith(
-      caches.match(event.request)
+      caches.open(SHELL_CACHE)
+        .then(cache => cache.match(url.pathname))
         .then(response => response || fetch(event.request))
     );
     return;
   }
 
-  // Stale-while-revalidate for data files
+  // Network-first for the draft index so new weeks show up right away (and
+  // get precached), and for flat drafts from before season folders (the same
+  // URL can hold any season)
+  if (url.pathname === '/data/index.json' || LEGACY_DRAFT.test(url.pathname)) {
+    event.respondWith(
+      fetch(event.request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(
+              putData(event.request, copy.clone())
+                .then(() => url.pathname === '/data/index.json' ? copy.json().then(precacheDrafts) : trimData())
+                .catch(() => {})
+            );
+          }
+          return response;
+        })
+        .catch(() => caches.match(event.request, { cacheName: DATA_CACHE }))
+    );
+    return;
+  }
+
+  // Stale-while-revalidate for data files; season folders keep each season's
+  // drafts under their own URL (/data/cfb/2025/week_01.json)
   if (url.pathname.startsWith('/data/')) {
     event.respondWith(
-      caches.open(CACHE_NAME)
-        .then(cache => {
-          return cache.match(event.request)
-            .then(cachedResponse => {
-              const fetchPromise = fetch(event.request)
-                .then(response => {
-                  if (response.ok) {
-                    cache.put(event.request, response.clone());
-                  }
-                  return response;
-                })
-                .catch(() => cachedResponse); // Return stale if fetch fails
-              
-              return cachedResponse || fetchPromise;
-            });
+      caches.open(DATA_CACHE)
+        .then(cache => cache.match(event.request))
+        .then(cachedResponse => {
+          const fetchPromise = fetch(event.request)
+            .then(response => {
+              if (response.ok) {
+                event.waitUntil(putData(event.request, response.clone()).then(trimData).catch(() => {}));
+              }
+              return response;
+            })
+            .catch(() => cachedResponse); // Return stale (even expired) if fetch fails
+
+          if (cachedResponse && !isExpired(cachedResponse)) {
+            event.waitUntil(fetchPromise);
+            return cachedResponse;
+          }
+          return fetchPromise;
         })
     );
     return;
@@ -87,4 +266,3 @@ self.addEventListener('fetch', (event) => {
       .catch(() => caches.match(event.request))
   );
 });
-
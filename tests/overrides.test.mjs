@@ -0,0 +1,123 @@
+/**
+ * Editor overrides: pin, exclude and order merging
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  overridesPath, loadOverrides, hasOverrides, selectGames, applyGameOverrides, mergeOpinions, mergeWhatsNext, annotateRanking
+} from '../scripts/lib/overrides.mjs';
+
+const NONE = { pin: [], exclude: [], order: [], games: {}, opinions: [], replace_opinions: false, whats_next: null };
+
+// Ranked best first; ids are numbers, as the CFBD and fixture providers return them
+const RANKED = [101, 102, 103, 104, 105, 106, 107].map(id => ({ id }));
+
+function ids(games) {
+  return games.map(game => game.id);
+}
+
+test('without overrides the top N are kept in rank order', () => {
+  const { selected, unknown } = selectGames(RANKED, NONE, 5);
+  assert.deepEqual(ids(selected), [101, 102, 103, 104, 105]);
+  assert.deepEqual(unknown, []);
+});
+
+test('excluded games make room for the next ranked game', () => {
+  const { selected } = selectGames(RANKED, { ...NONE, exclude: ['102'] }, 5);
+  assert.deepEqual(ids(selected), [101, 103, 104, 105, 106]);
+});
+
+test('pinned games come first, in pin order, and push the lowest out', () => {
+  const { selected } = selectGames(RANKED, { ...NONE, pin: ['107', '106'] }, 5);
+  assert.deepEqual(ids(selected), [107, 106, 101, 102, 103]);
+});
+
+test('more pins than slots keeps every pin', () => {
+  const { selected } = selectGames(RANKED, { ...NONE, pin: ['107', '106', '105'] }, 2);
+  assert.deepEqual(ids(selected), [107, 106, 105]);
+});
+
+test('exclude wins over pin', () => {
+  const { selected } = selectGames(RANKED, { ...NONE, pin: ['107'], exclude: ['107'] }, 3);
+  assert.deepEqual(ids(selected), [101, 102, 103]);
+});
+
+test('order puts listed games first and keeps the rest in place', () => {
+  const { selected } = selectGames(RANKED, { ...NONE, order: ['104', '102'] }, 5);
+  assert.deepEqual(ids(selected), [104, 102, 101, 103, 105]);
+});
+
+test('order applies after pins and excludes', () => {
+  const { selected } = selectGames(RANKED, { ...NONE, pin: ['107'], exclude: ['101'], order: ['103', '107'] }, 4);
+  assert.deepEqual(ids(selected), [103, 107, 102, 104]);
+});
+
+test('ids the week doesn\'t have are reported once', () => {
+  const { selected, unknown } = selectGames(RANKED, { ...NONE, pin: ['999'], order: ['999', '101'], games: { 998: {} } }, 2);
+  assert.deepEqual(ids(selected), [101, 102]);
+  assert.deepEqual(unknown, ['999', '998']);
+});
+
+test('game edits replace only the editable fields', () => {
+  const games = [
+    { ids: { game_id: '101' }, final: '28–24', recap_2s: 'Generated.', tags: ['late'] },
+    { ids: { game_id: '102' }, final: '10–7', recap_2s: 'Untouched.' }
+  ];
+  const overrides = { ...NONE, games: { 101: { recap_2s: 'Edited.', tags: [], final: '99–0' } } };
+  const merged = applyGameOverrides(games, overrides);
+
+  assert.deepEqual(merged[0], { ids: { game_id: '101' }, final: '28–24', recap_2s: 'Edited.', tags: [] });
+  assert.equal(merged[1], games[1]);
+  assert.equal(games[0].recap_2s, 'Generated.');
+});
+
+test('hand-written opinions go first unless they replace the generated ones', () => {
+  assert.deepEqual(mergeOpinions(['generated'], { ...NONE, opinions: ['mine'] }), ['mine', 'generated']);
+  assert.deepEqual(mergeOpinions(['generated'], { ...NONE, opinions: ['mine'], replace_opinions: true }), ['mine']);
+  assert.deepEqual(mergeOpinions(['generated'], { ...NONE, replace_opinions: true }), []);
+});
+
+test('the editor\'s What\'s Next replaces the generated rows, even when empty', () => {
+  const generated = [{ when: 'Sat', match: 'A at B' }];
+  assert.equal(mergeWhatsNext(generated, NONE), generated);
+  assert.deepEqual(mergeWhatsNext(generated, { ...NONE, whats_next: [] }), []);
+});
+
+test('the ranking breakdown marks excluded and pinned games', () => {
+  const ranking = [{ game_id: '101' }, { game_id: '102' }, { game_id: '103' }];
+  const annotated = annotateRanking(ranking, { ...NONE, pin: ['102', '103'], exclude: ['103'] });
+  assert.deepEqual(annotated.map(entry => entry.override), [undefined, 'pinned', 'excluded']);
+});
+
+test('hasOverrides is false only for empty overrides', () => {
+  assert.equal(hasOverrides(NONE), false);
+  assert.equal(hasOverrides({ ...NONE, order: ['101'] }), true);
+  assert.equal(hasOverrides({ ...NONE, replace_opinions: true }), true);
+  assert.equal(hasOverrides({ ...NONE, whats_next: [] }), true);
+});
+
+test('overrides files sit beside the week\'s draft', () => {
+  assert.match(overridesPath('cfb', 2025, 'regular', 5), /data[\\/]cfb[\\/]2025[\\/]week_05\.overrides\.json$/);
+  assert.match(overridesPath('nfl', 2025, 'postseason', 2), /data[\\/]nfl[\\/]2025[\\/]post_02\.overrides\.json$/);
+});
+
+test('loadOverrides fills in missing keys and rejects files that break the schema', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'overrides-'));
+  try {
+    assert.deepEqual(loadOverrides(join(dir, 'missing.json')), NONE);
+
+    const valid = join(dir, 'valid.json');
+    writeFileSync(valid, JSON.stringify({ pin: ['101'] }));
+    assert.deepEqual(loadOverrides(valid), { ...NONE, pin: ['101'] });
+
+    const invalid = join(dir, 'invalid.json');
+    writeFileSync(invalid, JSON.stringify({ pin: 101 }));
+    assert.throws(() => loadOverrides(invalid), /Invalid overrides/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
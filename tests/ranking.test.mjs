@@ -0,0 +1,120 @@
+/**
+ * Ranking engine
+ * Scores come from the weights passed in, so these use a small config of
+ * their own rather than scripts/config/ranking.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadRankingConfig, scoreGame, rankGames, explainRanking } from '../scripts/lib/ranking.mjs';
+
+const CONFIG = {
+  top_n: 2,
+  weights: {
+    one_score: 6, very_close: 4, tie: 3, shootout: 3, big_shootout: 2, conference_game: 1,
+    overtime: 4, multi_overtime: 6, comeback: 4, ranked_loss: 5, top_ten_loss: 3,
+    ranked_vs_ranked: 4, upset_per_point: 0.5, rivalry: 3
+  },
+  thresholds: { one_score: 8, very_close: 3, shootout: 70, big_shootout: 80, comeback: 10, upset_spread: 3, upset_max_points: 16 },
+  rivalries: [['Michigan', 'Ohio State']]
+};
+
+function game(fields) {
+  return { id: 1, completed: true, home_team: 'Home', away_team: 'Away', home_points: 30, away_points: 10, periods: 4, ...fields };
+}
+
+test('a blowout between unranked teams scores nothing', () => {
+  assert.deepEqual(scoreGame(game({}), CONFIG), { score: 0, parts: {} });
+});
+
+test('margin signals stack at their thresholds', () => {
+  assert.deepEqual(scoreGame(game({ home_points: 24, away_points: 16 }), CONFIG).parts, { one_score: 6 });
+  assert.deepEqual(scoreGame(game({ home_points: 24, away_points: 21 }), CONFIG).parts, { one_score: 6, very_close: 4 });
+});
+
+test('a tie counts as one score, very close and a tie', () => {
+  const { score, parts } = scoreGame(game({ home_points: 17, away_points: 17 }), CONFIG);
+  assert.deepEqual(parts, { one_score: 6, very_close: 4, tie: 3 });
+  assert.equal(score, 13);
+});
+
+test('shootouts need more than the threshold', () => {
+  assert.deepEqual(scoreGame(game({ home_points: 50, away_points: 20 }), CONFIG).parts, {});
+  assert.deepEqual(scoreGame(game({ home_points: 51, away_points: 30 }), CONFIG).parts, { shootout: 3, big_shootout: 2 });
+});
+
+test('overtime and multiple overtimes score separately', () => {
+  assert.equal(scoreGame(game({ periods: 5 }), CONFIG).parts.overtime, 4);
+  assert.deepEqual(scoreGame(game({ periods: 7 }), CONFIG).parts, { multi_overtime: 6 });
+});
+
+test('a comeback is the winner trailing by the threshold at a quarter break', () => {
+  const comeback = game({ line_scores: { home: [0, 3, 14, 13], away: [7, 3, 0, 0] } });
+  assert.equal(scoreGame(comeback, CONFIG).parts.comeback, undefined);
+
+  const bigger = game({ home_points: 30, away_points: 17, line_scores: { home: [0, 0, 14, 16], away: [7, 10, 0, 0] } });
+  assert.equal(scoreGame(bigger, CONFIG).parts.comeback, 4);
+});
+
+test('ranked losers score, with more for top-ten teams', () => {
+  assert.deepEqual(scoreGame(game({ away_rank: 15 }), CONFIG).parts, { ranked_loss: 5 });
+  assert.deepEqual(scoreGame(game({ away_rank: 4 }), CONFIG).parts, { ranked_loss: 5, top_ten_loss: 3 });
+
+  // A higher-ranked winner beating a ranked team is ranked vs ranked, not a ranked loss
+  assert.deepEqual(scoreGame(game({ home_rank: 3, away_rank: 12 }), CONFIG).parts, { ranked_vs_ranked: 4 });
+});
+
+test('upsets score per point of spread, capped', () => {
+  // Home favored by 2.5: below the upset threshold
+  assert.equal(scoreGame(game({ home_points: 10, away_points: 30, spread: -2.5 }), CONFIG).parts.upset, undefined);
+  assert.equal(scoreGame(game({ home_points: 10, away_points: 30, spread: -7 }), CONFIG).parts.upset, 3.5);
+  assert.equal(scoreGame(game({ home_points: 10, away_points: 30, spread: -28 }), CONFIG).parts.upset, 8);
+
+  // The favorite winning is no upset
+  assert.equal(scoreGame(game({ spread: -7 }), CONFIG).parts.upset, undefined);
+});
+
+test('rivalries match in either order', () => {
+  assert.equal(scoreGame(game({ home_team: 'Ohio State', away_team: 'Michigan' }), CONFIG).parts.rivalry, 3);
+  assert.equal(scoreGame(game({ home_team: 'Michigan', away_team: 'Ohio State' }), CONFIG).parts.rivalry, 3);
+});
+
+test('rankGames keeps completed games only, best first', () => {
+  const games = [
+    game({ id: 'blowout' }),
+    game({ id: 'close', home_points: 21, away_points: 20 }),
+    game({ id: 'later', completed: false, home_points: null, away_points: null }),
+    game({ id: 'overtime', home_points: 27, away_points: 24, periods: 5 })
+  ];
+  const ranked = rankGames(games, CONFIG);
+
+  assert.deepEqual(ranked.map(g => g.id), ['overtime', 'close', 'blowout']);
+  assert.equal(ranked[0]._rankScore, 14);
+  assert.equal(ranked[0]._winner, 'home');
+});
+
+test('explainRanking marks the selected games and lists runners-up', () => {
+  const ranked = rankGames([1, 2, 3, 4, 5, 6].map(id => game({ id, home_points: 20 + id, away_points: 20 })), CONFIG);
+  const explained = explainRanking(ranked, ranked.slice(0, CONFIG.top_n), 2);
+
+  assert.equal(explained.length, 4);
+  assert.deepEqual(explained.map(row => row.selected), [true, true, false, false]);
+  assert.equal(explained[0].game_id, '1');
+  assert.equal(explained[0].match, 'Away at Home');
+});
+
+test('explainRanking lists a game picked from below the cut', () => {
+  const ranked = rankGames([1, 2, 3, 4, 5, 6].map(id => game({ id, home_points: 20 + id, away_points: 20 })), CONFIG);
+  const explained = explainRanking(ranked, [ranked[5], ranked[0]], 1);
+
+  assert.deepEqual(explained.map(row => [row.game_id, row.selected]), [['1', true], ['2', false], ['3', false], ['6', true]]);
+});
+
+test('loadRankingConfig keeps only the scope\'s rivalries', () => {
+  const cfb = loadRankingConfig('cfb');
+  const nfl = loadRankingConfig('nfl');
+
+  assert.ok(cfb.rivalries.some(pair => pair.includes('Ohio State')));
+  assert.ok(!nfl.rivalries.some(pair => pair.includes('Ohio State')));
+  assert.equal(typeof cfb.weights.one_score, 'number');
+});
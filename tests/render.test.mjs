@@ -0,0 +1,207 @@
+/**
+ * Render safety
+ * Renders drafts with markup and script in every text field, and logos
+ * pointing outside /assets/logos/, and checks nothing runs or reaches the
+ * page as markup
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { JSDOM } from 'jsdom';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// The browser scripts Render needs, in index.html's order
+const SCRIPTS = ['calendar.js', 'state.js', 'schema.js', 'search.js', 'render.js'];
+
+const PAYLOAD = '<img src=x onerror="window.__pwned=1"><script>window.__pwned=1</script>"><svg onload="window.__pwned=1">';
+
+const HOSTILE_LOGOS = [
+  'javascript:window.__pwned=1',
+  'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" onload="window.__pwned=1"/>',
+  '//evil.example/logo.png',
+  '/assets/logos/../../evil.png',
+  '/assets/logos/cfb/../../../evil.png',
+  '/assets/logos/cfb/utah.png" onerror="window.__pwned=1'
+];
+
+/**
+ * index.html's sections with the Render scripts loaded, but not app.js
+ */
+function loadPage() {
+  const html = readFileSync(join(ROOT, 'index.html'), 'utf8').replace(/<script\b[\s\S]*?<\/script>/g, '');
+  const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'dangerously' });
+  const { document } = dom.window;
+
+  for (const file of SCRIPTS) {
+    const script = document.createElement('script');
+    script.textContent = readFileSync(join(ROOT, 'assets', file), 'utf8');
+    document.body.appendChild(script);
+  }
+
+  return { window: dom.window, document, Render: dom.window.eval('Render'), State: dom.window.eval('State') };
+}
+
+/**
+ * A draft with the payload in every field Render shows
+ */
+function hostileDraft(logo) {
+  const team = label => ({ name: `${label} ${PAYLOAD}`, abbr: `${label.slice(0, 3)}${PAYLOAD}`, logo });
+  const home = team('Home');
+  const away = team('Away');
+  const gameId = '1"><img src=x onerror="window.__pwned=1">';
+
+  return {
+    meta: { season: 2025, week: 1, season_type: 'regular', label: `Week 1 ${PAYLOAD}`, scope: 'cfb', generated_at: '2025-08-31T12:00:00Z' },
+    top_games: [{
+      home,
+      away,
+      final: '28–24',
+      recap_2s: `Recap ${PAYLOAD}`,
+      one_stat: `Stat ${PAYLOAD}`,
+      why_it_mattered: `Why ${PAYLOAD}`,
+      tags: [`upset${PAYLOAD}`, 'late'],
+      ids: { game_id: gameId },
+      detail: '/data/cfb/2025/games/1.json'
+    }],
+    quick_opinions: [
+      `Opinion ${PAYLOAD}`,
+      { text: `Opinion ${PAYLOAD}`, stat: { label: `Label ${PAYLOAD}`, value: `9-3${PAYLOAD}`, detail: PAYLOAD } }
+    ],
+    whats_next: [{
+      when: `Sat${PAYLOAD}`,
+      kickoff: '2025-09-06T23:30:00.000Z',
+      match: `${away.name} at ${home.name}`,
+      teams: [away.name, home.name],
+      hook: `Hook ${PAYLOAD}`,
+      ids: { game_id: `2${PAYLOAD}` }
+    }],
+    race: [{
+      group: `Big Ten ${PAYLOAD}`,
+      leaders: [home.name, away.name],
+      record: '1-0',
+      eliminated: [`Out ${PAYLOAD}`]
+    }],
+    // Not a draft field: the game's detail file, which the app fetches on its own
+    detail: {
+      game_id: gameId, scope: 'cfb', season: 2025, season_type: 'regular', week: 1, label: `Week 1 ${PAYLOAD}`,
+      home, away, final: '28–24', notes: `Notes ${PAYLOAD}`,
+      line_scores: { home: [7, 7, 7, 7], away: [3, 7, 7, 7] },
+      team_stats: { home: { total_yards: 400, [`yards${PAYLOAD}`]: `1${PAYLOAD}` }, away: { total_yards: 300 } },
+      scoring_plays: [{ period: 1, clock: `9:41${PAYLOAD}`, team: 'home', type: `Touchdown ${PAYLOAD}`, text: `Run ${PAYLOAD}`, home_score: 7, away_score: 0 }]
+    },
+    all_games: [
+      { game_id: gameId, home: home.name, away: away.name, home_points: 28, away_points: 24 }
+    ]
+  };
+}
+
+/**
+ * Render every section Render fills from a draft, searching for the payload too
+ */
+function renderAll({ Render, State }, draft) {
+  State.setData(draft);
+  for (const game of draft.top_games) State.toggleFavorite(game.home.name);
+
+  Render.renderMeta(draft.meta);
+  Render.renderTopGames(draft.top_games);
+  Render.renderYourTeams(draft.all_games, draft.top_games);
+  Render.renderOpinions(draft.quick_opinions);
+  Render.renderWhatsNext(draft.whats_next);
+  Render.renderRace(draft.race, draft.meta.scope);
+  Render.renderGameDetail({ game: draft.top_games[0], detail: draft.detail, status: '' });
+  Render.renderArchive([{
+    value: '1',
+    label: draft.meta.label,
+    draft: { headline: { match: draft.whats_next[0].match, final: `28–24${PAYLOAD}` } }
+  }]);
+
+  // Highlighting rebuilds the recaps, opinions and other weeks' results around the matches
+  State.setSearchTerm('script');
+  Render.applySearchFilter();
+  Render.renderOtherWeeks({
+    season: 2025,
+    weeks: 1,
+    results: [{ entry: { season: 2025, week: 2, label: `Week 2 ${PAYLOAD}` }, games: draft.top_games, opinions: draft.quick_opinions }]
+  });
+}
+
+/**
+ * Fire every event the payloads listen for, on every element
+ */
+function fireHandlers({ window, document }) {
+  for (const el of document.querySelectorAll('*')) {
+    for (const type of ['load', 'error', 'click', 'focus', 'mouseover']) {
+      el.dispatchEvent(new window.Event(type));
+    }
+  }
+}
+
+/**
+ * Check that nothing from the draft became markup or ran
+ */
+function assertInert(page) {
+  const { window, document, Render } = page;
+  fireHandlers(page);
+
+  assert.equal(window.__pwned, undefined, 'a payload ran');
+  assert.equal(document.querySelectorAll('script').length, SCRIPTS.length, 'a <script> was injected');
+  assert.equal(document.querySelectorAll('svg, iframe, object, embed').length, 0, 'markup was injected');
+
+  for (const el of document.querySelectorAll('*')) {
+    for (const { name, value } of el.attributes) {
+      assert.ok(!/^on/i.test(name), `<${el.localName}> has ${name}`);
+      if (name === 'href' || name === 'src') {
+        assert.ok(!/^\s*(javascript|data):/i.test(value), `<${el.localName}> ${name}="${value}"`);
+      }
+    }
+  }
+
+  for (const img of document.querySelectorAll('img')) {
+    assert.match(img.getAttribute('src'), Render.LOGO_PATH);
+  }
+}
+
+for (const logo of HOSTILE_LOGOS) {
+  test(`hostile draft with logo ${logo} renders as text`, () => {
+    const page = loadPage();
+    renderAll(page, hostileDraft(logo));
+
+    assertInert(page);
+    assert.equal(page.document.querySelectorAll('img').length, 0, 'a foreign logo was rendered');
+
+    // The payload is shown, as text
+    assert.ok(page.document.querySelector('#top-games .game-recap').textContent.includes('<script>'));
+    assert.ok(page.document.querySelector('#whats-next .next-match').textContent.includes('<img'));
+    assert.ok(page.document.querySelector('#other-weeks .week-result mark'));
+    assert.ok(page.document.querySelector('#game-detail').textContent.includes('Run <img'));
+    assert.ok(page.document.querySelector('#race .race-name').textContent.includes('<img'));
+  });
+}
+
+test('logos under /assets/logos/{scope}/ still render', () => {
+  const page = loadPage();
+  renderAll(page, hostileDraft('/assets/logos/cfb/utah.png'));
+
+  assertInert(page);
+  assert.ok(page.document.querySelectorAll('#top-games img.game-logo').length > 0);
+});
+
+test('validation errors render as text', () => {
+  const page = loadPage();
+  page.Render.renderInvalid([{ path: `/top_games/0/${PAYLOAD}`, message: PAYLOAD }]);
+
+  assertInert(page);
+  assert.ok(page.document.querySelector('.draft-error li').textContent.includes('<script>'));
+});
+
+test('_el refuses event handler attributes', () => {
+  const { Render } = loadPage();
+
+  assert.throws(() => Render._el('div', { onclick: 'window.__pwned=1' }), /event handler/);
+  assert.throws(() => Render._el('img', { src: '/assets/logos/cfb/utah.png', ONERROR: 'window.__pwned=1' }), /event handler/);
+  assert.equal(Render._el('span', { class: 'x' }, '<b>bold</b>').innerHTML, '&lt;b&gt;bold&lt;/b&gt;');
+});
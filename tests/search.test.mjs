@@ -0,0 +1,135 @@
+/**
+ * Search queries: parsing, matching and highlight runs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const Search = require('../assets/search.js');
+
+test('words are lowercased text terms', () => {
+  assert.deepEqual(Search.parse('  Utah   BYU '), [{ field: null, value: 'utah' }, { field: null, value: 'byu' }]);
+  assert.deepEqual(Search.parse(''), []);
+  assert.deepEqual(Search.parse(undefined), []);
+});
+
+test('quoted phrases are one term', () => {
+  assert.deepEqual(Search.parse('utah "Fourth Quarter"'), [
+    { field: null, value: 'utah' },
+    { field: null, value: 'fourth quarter' }
+  ]);
+});
+
+test('an unterminated quote runs to the end of the query', () => {
+  assert.deepEqual(Search.parse('"fourth quar'), [{ field: null, value: 'fourth quar' }]);
+  assert.deepEqual(Search.parse('team:"ohio st'), [{ field: 'team', value: 'ohio st' }]);
+});
+
+test('field prefixes take a word or a phrase', () => {
+  assert.deepEqual(Search.parse('team:"Ohio State" tag:upset when:SAT'), [
+    { field: 'team', value: 'ohio state' },
+    { field: 'tag', value: 'upset' },
+    { field: 'when', value: 'sat' }
+  ]);
+});
+
+test('a field still being typed is ignored', () => {
+  assert.deepEqual(Search.parse('team:'), []);
+  assert.deepEqual(Search.parse('utah tag:'), [{ field: null, value: 'utah' }]);
+  assert.deepEqual(Search.parse('team:"" when:sat'), [{ field: 'when', value: 'sat' }]);
+  assert.deepEqual(Search.parse('""'), []);
+});
+
+test('unknown prefixes are plain text', () => {
+  assert.deepEqual(Search.parse('foo:bar http://x.com'), [
+    { field: null, value: 'foo:bar' },
+    { field: null, value: 'http://x.com' }
+  ]);
+});
+
+test('every term must match, field terms only their field', () => {
+  const doc = { text: 'utah beat byu in the fourth quarter', team: 'utah byu', tag: 'rivalry late' };
+
+  assert.equal(Search.matches(doc, Search.parse('utah "fourth quarter"')), true);
+  assert.equal(Search.matches(doc, Search.parse('utah oregon')), false);
+  assert.equal(Search.matches(doc, Search.parse('team:byu tag:late')), true);
+  assert.equal(Search.matches(doc, Search.parse('team:fourth')), false);
+  assert.equal(Search.matches(doc, []), true);
+});
+
+test('a field the row doesn\'t have never matches', () => {
+  assert.equal(Search.matches({ text: 'sat utah' }, Search.parse('when:sat')), false);
+  assert.equal(Search.matches(Search.opinionDoc('Home teams went 9-3'), Search.parse('tag:upset')), false);
+});
+
+test('game documents cover names, abbreviations, text and tags', () => {
+  const game = {
+    home: { name: 'Utah', abbr: 'UTAH' },
+    away: { name: 'BYU', abbr: 'BYU' },
+    recap_2s: 'A late field goal.',
+    one_stat: '3 turnovers',
+    why_it_mattered: 'Big 12 race.',
+    tags: ['rivalry', 'late']
+  };
+  const doc = Search.gameDoc(game);
+
+  assert.equal(doc.team, 'utah utah byu byu');
+  assert.equal(doc.tag, 'rivalry late');
+  assert.ok(doc.text.includes('a late field goal.'));
+  assert.ok(doc.text.includes('big 12 race.'));
+  assert.ok(doc.text.includes('3 turnovers'));
+});
+
+test('opinion documents accept strings and { text }', () => {
+  assert.deepEqual(Search.opinionDoc('Home Teams'), { text: 'home teams' });
+  assert.deepEqual(Search.opinionDoc({ text: 'Road Wins', stat: {} }), { text: 'road wins' });
+  assert.deepEqual(Search.opinionDoc(null), { text: '' });
+});
+
+test('searchDraft returns matching games and opinions', () => {
+  const draft = {
+    top_games: [
+      { home: { name: 'Utah' }, away: { name: 'BYU' }, recap_2s: 'Late kick.', tags: ['late'] },
+      { home: { name: 'Iowa' }, away: { name: 'Nebraska' }, recap_2s: 'Blowout.', tags: [] }
+    ],
+    quick_opinions: ['Kickers decided three games late', { text: 'Nebraska ran for 300' }]
+  };
+
+  const late = Search.searchDraft(draft, Search.parse('late'));
+  assert.deepEqual(late.games.map(game => game.home.name), ['Utah']);
+  assert.deepEqual(late.opinions, ['Kickers decided three games late']);
+
+  const nebraska = Search.searchDraft(draft, Search.parse('team:nebraska'));
+  assert.deepEqual(nebraska.games.map(game => game.home.name), ['Iowa']);
+  assert.deepEqual(nebraska.opinions, []);
+});
+
+test('segments keep the original case around matches', () => {
+  assert.deepEqual(Search.segments('Utah beat BYU', Search.parse('byu')), [
+    { text: 'Utah beat ', match: false },
+    { text: 'BYU', match: true }
+  ]);
+});
+
+test('overlapping and adjacent matches join into one run', () => {
+  assert.deepEqual(Search.segments('xABCDx abc', Search.parse('abc bcd')), [
+    { text: 'x', match: false },
+    { text: 'ABCD', match: true },
+    { text: 'x ', match: false },
+    { text: 'abc', match: true }
+  ]);
+  assert.deepEqual(Search.segments('abcd', Search.parse('ab cd')), [{ text: 'abcd', match: true }]);
+  assert.deepEqual(Search.segments('aaaa', Search.parse('aa')), [{ text: 'aaaa', match: true }]);
+});
+
+test('field terms and empty queries highlight nothing', () => {
+  assert.deepEqual(Search.segments('Utah', Search.parse('team:utah')), [{ text: 'Utah', match: false }]);
+  assert.deepEqual(Search.segments('Utah', []), [{ text: 'Utah', match: false }]);
+  assert.deepEqual(Search.segments('', Search.parse('utah')), []);
+});
+
+test('text whose case folding changes its length is left unmarked', () => {
+  assert.deepEqual(Search.segments('İstanbul', Search.parse('stanbul')), [{ text: 'İstanbul', match: false }]);
+});
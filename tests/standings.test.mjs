@@ -0,0 +1,210 @@
+/**
+ * Standings: tiebreak cascade and the weekly race
+ * Rules are passed in, so only the last test reads scripts/config/standings.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStandingsConfig, computeStandings, raceSummary } from '../scripts/lib/standings.mjs';
+
+const CFB = {
+  group_by: 'conference',
+  rank_by: 'group',
+  tiebreakers: ['head_to_head', 'overall'],
+  ignore: ['FBS Independents'],
+  divisions: null,
+  group_games: { SEC: 3 },
+  default_group_games: null,
+  season_games: null
+};
+
+const NFL = {
+  group_by: 'division',
+  rank_by: 'overall',
+  tiebreakers: ['head_to_head', 'group', 'conference'],
+  ignore: [],
+  divisions: {
+    'AFC East': ['Bills', 'Dolphins', 'Jets', 'Patriots'],
+    'AFC West': ['Chiefs', 'Raiders'],
+    'NFC East': ['Cowboys', 'Eagles']
+  },
+  group_games: {},
+  default_group_games: null,
+  season_games: 4
+};
+
+function game(home, away, homePoints, awayPoints, conferences = {}) {
+  return {
+    completed: true,
+    home_team: home,
+    away_team: away,
+    home_points: homePoints,
+    away_points: awayPoints,
+    home_conference: conferences.home ?? 'SEC',
+    away_conference: conferences.away ?? 'SEC'
+  };
+}
+
+function order(rows) {
+  return rows.map(row => row.team);
+}
+
+test('college teams rank by conference record; other games count only overall', () => {
+  const standings = computeStandings([
+    game('A', 'B', 20, 10),
+    game('C', 'FCS', 50, 0, { away: 'Big Sky' }),
+    game('C', 'Notre Dame', 50, 0, { away: 'FBS Independents' }),
+    game('B', 'D', 14, 7),
+    { ...game('D', 'C', null, null), completed: false }
+  ], CFB);
+
+  assert.deepEqual(Object.keys(standings).sort(), ['Big Sky', 'SEC']);
+  // C has no conference game yet, so it sits at .500 with B (1-1) and its
+  // 2-0 overall record breaks the tie
+  assert.deepEqual(order(standings.SEC), ['A', 'C', 'B', 'D']);
+
+  const c = standings.SEC.find(row => row.team === 'C');
+  assert.deepEqual([c.wins, c.losses, c.group_record.wins + c.group_record.losses], [2, 0, 0]);
+  assert.equal(c.points_for, 100);
+});
+
+test('head-to-head breaks a two-team tie', () => {
+  const standings = computeStandings([
+    game('A', 'B', 10, 17),
+    game('A', 'C', 21, 0),
+    game('B', 'D', 3, 10)
+  ], CFB);
+
+  // A and B are both 1-1; B won the game between them
+  assert.deepEqual(order(standings.SEC), ['D', 'B', 'A', 'C']);
+});
+
+test('a three-way tie split by a later tiebreaker restarts at head-to-head', () => {
+  const standings = computeStandings([
+    game('A', 'B', 20, 10),
+    game('B', 'C', 21, 20),
+    game('C', 'A', 28, 0),
+    game('A', 'Z', 60, 0, { away: 'Sun Belt' })
+  ], CFB);
+
+  // A, B and C are 1-1 and beat each other in a circle, so head-to-head
+  // can't split them; A's better overall record puts it first, then
+  // head-to-head decides B over C
+  assert.deepEqual(order(standings.SEC), ['A', 'B', 'C']);
+});
+
+test('head-to-head is skipped unless every tied team played another of them', () => {
+  const standings = computeStandings([
+    game('A', 'X', 10, 7),
+    game('A', 'Z', 0, 7, { away: 'Sun Belt' }),
+    game('B', 'Y', 10, 7)
+  ], CFB);
+
+  // A and B never met: B's better overall record decides it
+  assert.deepEqual(order(standings.SEC).slice(0, 2), ['B', 'A']);
+});
+
+test('teams nothing separates are listed alphabetically', () => {
+  const standings = computeStandings([game('Zed', 'Y', 10, 7), game('Abe', 'X', 10, 7)], CFB);
+  assert.deepEqual(order(standings.SEC).slice(0, 2), ['Abe', 'Zed']);
+});
+
+test('ties count as half a win', () => {
+  const standings = computeStandings([game('A', 'B', 7, 7), game('C', 'D', 10, 0), game('A', 'D', 3, 0)], CFB);
+  const a = standings.SEC.find(row => row.team === 'A');
+
+  assert.deepEqual(a.group_record, { wins: 1, losses: 0, ties: 1 });
+  assert.deepEqual(order(standings.SEC), ['C', 'A', 'B', 'D']);
+});
+
+test('NFL divisions list every team and rank by overall record', () => {
+  const standings = computeStandings([game('Bills', 'Cowboys', 20, 10, {})], NFL);
+
+  assert.deepEqual(Object.keys(standings).sort(), ['AFC East', 'AFC West', 'NFC East']);
+  assert.deepEqual(order(standings['AFC East']), ['Bills', 'Dolphins', 'Jets', 'Patriots']);
+  assert.deepEqual(order(standings['NFC East']), ['Eagles', 'Cowboys']);
+});
+
+test('NFL ties go to division record, then conference record', () => {
+  const standings = computeStandings([
+    game('Dolphins', 'Bills', 20, 17),
+    game('Jets', 'Chiefs', 24, 20),
+    game('Patriots', 'Cowboys', 24, 20),
+    game('Raiders', 'Eagles', 10, 3)
+  ], NFL);
+
+  // Dolphins, Jets and Patriots are 1-0 and haven't played each other:
+  // the Dolphins won a division game, the Jets a conference game, the
+  // Patriots neither
+  assert.deepEqual(order(standings['AFC East']), ['Dolphins', 'Jets', 'Patriots', 'Bills']);
+
+  const jets = standings['AFC East'].find(row => row.team === 'Jets');
+  assert.deepEqual(jets.conference_record, { wins: 1, losses: 0, ties: 0 });
+  assert.deepEqual(jets.group_record, { wins: 0, losses: 0, ties: 0 });
+});
+
+test('the race lists teams with the leader\'s exact record', () => {
+  const games = [game('A', 'B', 20, 10), game('C', 'D', 20, 10), game('A', 'Z', 9, 3, { away: 'Sun Belt' })];
+  const race = raceSummary({}, computeStandings(games, CFB), CFB);
+
+  assert.deepEqual(race.find(group => group.group === 'SEC'), { group: 'SEC', leaders: ['A', 'C'], record: '1-0', eliminated: [] });
+});
+
+test('groups without a ranked game are left out', () => {
+  // Only non-conference games: no SEC race yet
+  const race = raceSummary({}, computeStandings([game('A', 'Z', 20, 10, { away: 'Sun Belt' })], CFB), CFB);
+  assert.deepEqual(race, []);
+});
+
+test('teams are eliminated the week they can no longer reach the leader', () => {
+  const earlier = [game('A', 'B', 20, 10)];
+  const week = [game('A', 'C', 7, 3), game('D', 'B', 9, 8)];
+  const race = raceSummary(computeStandings(earlier, CFB), computeStandings([...earlier, ...week], CFB), CFB);
+
+  // SEC teams play 3 conference games: B (0-2) can reach 1 win, A already has 2
+  assert.deepEqual(race, [{ group: 'SEC', leaders: ['A'], record: '2-0', eliminated: ['B'] }]);
+
+  // Already out before the week: not listed again
+  const next = [game('B', 'D', 0, 7)];
+  const later = raceSummary(
+    computeStandings([...earlier, ...week], CFB),
+    computeStandings([...earlier, ...week, ...next], CFB),
+    CFB
+  );
+  assert.deepEqual(later[0].eliminated, []);
+});
+
+test('a team that can still draw level is not eliminated', () => {
+  const earlier = [game('A', 'B', 20, 10)];
+  const week = [game('A', 'C', 20, 10)];
+  const race = raceSummary(computeStandings(earlier, CFB), computeStandings([...earlier, ...week], CFB), CFB);
+
+  // A is 2-0; C (0-1) and B (0-1) can still finish 2-1 and tie it
+  assert.deepEqual(race[0].eliminated, []);
+});
+
+test('nobody is eliminated when the group\'s schedule length is unknown', () => {
+  const games = [game('A', 'B', 20, 10, { home: 'ACC', away: 'ACC' }), game('A', 'B', 20, 10, { home: 'ACC', away: 'ACC' })];
+  const race = raceSummary({}, computeStandings(games, CFB), CFB);
+  assert.deepEqual(race[0].eliminated, []);
+});
+
+test('NFL races count overall wins against the season length', () => {
+  const earlier = [game('Bills', 'Dolphins', 20, 10), game('Bills', 'Jets', 20, 10), game('Patriots', 'Cowboys', 0, 10)];
+  const week = [game('Bills', 'Patriots', 20, 10), game('Dolphins', 'Jets', 20, 10)];
+  const race = raceSummary(computeStandings(earlier, NFL), computeStandings([...earlier, ...week], NFL), NFL);
+  const east = race.find(group => group.group === 'AFC East');
+
+  // Bills 3-0; Patriots (0-2) and Jets (0-2) can reach 2 wins in a 4-game season
+  assert.deepEqual(east, { group: 'AFC East', leaders: ['Bills'], record: '3-0', eliminated: ['Jets', 'Patriots'] });
+});
+
+test('the shipped config lists every NFL team once', () => {
+  const nfl = loadStandingsConfig('nfl');
+  const teams = Object.values(nfl.divisions).flat();
+
+  assert.equal(Object.keys(nfl.divisions).length, 8);
+  assert.equal(teams.length, 32);
+  assert.equal(new Set(teams).size, 32);
+  assert.equal(loadStandingsConfig('cfb').rank_by, 'group');
+});
@@ -0,0 +1,83 @@
+/**
+ * Tag derivation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveTags, TAG_VOCABULARY } from '../scripts/lib/tags.mjs';
+
+function game(fields) {
+  return { home_team: 'Home', away_team: 'Away', home_points: 35, away_points: 20, periods: 4, ...fields };
+}
+
+test('margins and totals at their thresholds', () => {
+  assert.deepEqual(deriveTags(game({ home_points: 28, away_points: 20 })), ['one-score']);
+  assert.deepEqual(deriveTags(game({ home_points: 28, away_points: 19 })), []);
+  assert.deepEqual(deriveTags(game({ home_points: 38, away_points: 10 })), ['blowout']);
+  assert.deepEqual(deriveTags(game({ home_points: 41, away_points: 30 })), ['shootout']);
+  assert.deepEqual(deriveTags(game({ home_points: 40, away_points: 30 })), []);
+  assert.deepEqual(deriveTags(game({ home_points: 20, away_points: 10 })), ['defensive-struggle']);
+});
+
+test('overtime is any period past the fourth', () => {
+  assert.ok(deriveTags(game({ periods: 5 })).includes('overtime'));
+  assert.ok(deriveTags(game({ periods: 8 })).includes('overtime'));
+  assert.ok(!deriveTags(game({})).includes('overtime'));
+});
+
+test('upsets by spread need 3 points', () => {
+  // Away favored by 2.5 (spread is from the home side)
+  assert.ok(!deriveTags(game({ spread: 2.5 })).includes('upset'));
+  assert.ok(deriveTags(game({ spread: 3 })).includes('upset'));
+  assert.ok(!deriveTags(game({ spread: -10 })).includes('upset'));
+});
+
+test('upsets and ranked matchups by poll rank', () => {
+  assert.deepEqual(deriveTags(game({ away_rank: 9 })), ['upset', 'ranked-vs-unranked']);
+  assert.deepEqual(deriveTags(game({ home_rank: 9 })), ['ranked-vs-unranked']);
+  assert.deepEqual(deriveTags(game({ home_rank: 12, away_rank: 4 })), ['upset', 'ranked-vs-ranked']);
+  assert.deepEqual(deriveTags(game({ home_rank: 4, away_rank: 12 })), ['ranked-vs-ranked']);
+});
+
+test('a tie is never an upset, comeback or late winner', () => {
+  const tie = game({
+    home_points: 24, away_points: 24, periods: 4, away_rank: 5, spread: -7,
+    line_scores: { home: [0, 0, 10, 14], away: [14, 7, 3, 0] }
+  });
+  assert.deepEqual(deriveTags(tie), ['ranked-vs-unranked', 'one-score']);
+});
+
+test('comeback and late from line scores', () => {
+  // Down 0-14 after one, ahead for good only in the fourth
+  const rally = game({ home_points: 24, away_points: 21, line_scores: { home: [0, 7, 7, 10], away: [14, 0, 7, 0] } });
+  assert.deepEqual(deriveTags(rally), ['comeback', 'late', 'one-score']);
+
+  // Led from the first quarter
+  const wire = game({ line_scores: { home: [14, 7, 7, 7], away: [0, 7, 7, 6] } });
+  assert.ok(!deriveTags(wire).includes('late'));
+});
+
+test('scoring plays decide when the winner took the lead for good', () => {
+  const plays = [
+    { period: 1, home_score: 7, away_score: 0 },
+    { period: 3, home_score: 7, away_score: 10 },
+    { period: 4, home_score: 14, away_score: 10 },
+    { period: 4, home_score: 14, away_score: 13 }
+  ];
+  const late = game({ home_points: 14, away_points: 13, scoring_plays: plays, line_scores: { home: [7, 0, 0, 7], away: [0, 0, 10, 3] } });
+  assert.deepEqual(deriveTags(late), ['late', 'one-score', 'defensive-struggle']);
+});
+
+test('rivalries come from the pairs passed in', () => {
+  const rivals = [['Away', 'Home']];
+  assert.ok(deriveTags(game({}), rivals).includes('rivalry'));
+  assert.ok(!deriveTags(game({})).includes('rivalry'));
+});
+
+test('tags come back in vocabulary order', () => {
+  const tags = deriveTags(game({ home_points: 45, away_points: 42, periods: 6, home_rank: 20, away_rank: 3 }), [['Home', 'Away']]);
+  const order = Object.keys(TAG_VOCABULARY);
+
+  assert.deepEqual(tags, ['upset', 'overtime', 'ranked-vs-ranked', 'rivalry', 'one-score', 'shootout']);
+  assert.deepEqual(tags, [...tags].sort((a, b) => order.indexOf(a) - order.indexOf(b)));
+});